@@ -0,0 +1,225 @@
+/**
+ * Asset loading and cache
+ *
+ * Assets are described by typed entries: a key to look the asset up by, a
+ * type choosing the loader, and the file to load. Failed loads are retried
+ * a few times with a growing delay. An entry with a fallback uses it in
+ * place of an asset that still fails, so the game can run without it (e.g.
+ * null, and entities draw placeholder shapes); entries without one are
+ * required.
+ */
+
+/**
+ * Assets the game loads at startup, before showing the main menu.
+ * Entries: key, type (a key of ASSET_LOADERS), src and an optional
+ * fallback. Fonts also give the family name to register them under, and
+ * synthesized sounds give their preset in place of a src.
+ */
+const ASSET_MANIFEST = [
+    // Sprite sheets (see SPRITE_SHEETS) go here once their images exist, e.g.
+    // { key: 'images/player', type: 'image', src: 'assets/images/player.png', fallback: null },
+
+    // Sound effects, synthesized from presets (see SFX_PRESETS)
+    { key: 'sounds/jump', type: 'sfx', preset: 'jump', fallback: null },
+    { key: 'sounds/footstep', type: 'sfx', preset: 'footstep', fallback: null },
+    { key: 'sounds/attack', type: 'sfx', preset: 'attack', fallback: null },
+    { key: 'sounds/hit', type: 'sfx', preset: 'hit', fallback: null },
+    { key: 'sounds/stomp', type: 'sfx', preset: 'stomp', fallback: null },
+    { key: 'sounds/combo', type: 'sfx', preset: 'combo', fallback: null },
+    { key: 'sounds/defeat', type: 'sfx', preset: 'defeat', fallback: null },
+    { key: 'sounds/hurt', type: 'sfx', preset: 'hurt', fallback: null },
+    { key: 'sounds/death', type: 'sfx', preset: 'death', fallback: null },
+    { key: 'sounds/crush', type: 'sfx', preset: 'crush', fallback: null },
+    { key: 'sounds/coin', type: 'sfx', preset: 'coin', fallback: null },
+    { key: 'sounds/gem', type: 'sfx', preset: 'gem', fallback: null },
+    { key: 'sounds/health', type: 'sfx', preset: 'health', fallback: null },
+    { key: 'sounds/powerUp', type: 'sfx', preset: 'powerUp', fallback: null },
+    { key: 'sounds/powerDown', type: 'sfx', preset: 'powerDown', fallback: null },
+    { key: 'sounds/shield', type: 'sfx', preset: 'shield', fallback: null },
+    { key: 'sounds/checkpoint', type: 'sfx', preset: 'checkpoint', fallback: null },
+    { key: 'sounds/levelComplete', type: 'sfx', preset: 'levelComplete', fallback: null },
+    { key: 'sounds/roar', type: 'sfx', preset: 'roar', fallback: null },
+    { key: 'sounds/explosion', type: 'sfx', preset: 'explosion', fallback: null },
+
+    // Music
+    { key: 'music/menu', type: 'audio', src: 'assets/sounds/menu.mp3', fallback: null },
+    { key: 'music/level', type: 'audio', src: 'assets/sounds/level.mp3', fallback: null },
+
+    // Menu and HUD font, used ahead of Arial in style.css
+    { key: 'fonts/ui', type: 'font', family: 'Platformer UI', src: 'assets/fonts/ui.woff2', fallback: null }
+];
+
+/**
+ * Loaders by entry type. Each takes an entry and returns a promise of the
+ * loaded asset.
+ */
+const ASSET_LOADERS = {
+    image: (entry) => Utils.loadImage(entry.src),
+
+    audio: (entry) => Utils.loadAudio(entry.src),
+
+    // A sound effect rendered from a preset, with no file to fetch
+    sfx: (entry) => {
+        const preset = SFX_PRESETS[entry.preset];
+        if (!preset) {
+            throw new Error(`Unknown sound effect preset "${entry.preset}" for ${entry.key}`);
+        }
+        return SoundSynth.createBuffer(preset);
+    },
+
+    json: (entry) => {
+        return fetch(entry.src).then(response => {
+            if (!response.ok) {
+                throw new HttpError(`Failed to load JSON: ${entry.src} (${response.status})`, response.status);
+            }
+            return response.json();
+        });
+    },
+
+    // A level file, validated and built into a Level
+    level: (entry) => LevelLoader.load(entry.src),
+
+    // A campaign file, validated and built into a Campaign
+    campaign: (entry) => loadCampaign(entry.src),
+
+    font: (entry) => {
+        const font = new FontFace(entry.family, `url(${entry.src})`);
+        return font.load().then(loaded => {
+            document.fonts.add(loaded);
+            return loaded;
+        });
+    }
+};
+
+/**
+ * Loaded assets by key, shared by the whole game
+ */
+const Assets = {
+    cache: new Map(),     // Key -> loaded asset, or the fallback of one that failed
+    pending: new Map(),   // Key -> promise of an asset being loaded
+    retries: 2,           // Extra attempts after a failed load
+    retryDelay: 250,      // ms before the first retry, doubling for each one after
+    timeout: 15000,       // ms an attempt may take before it counts as failed
+
+    /**
+     * Load assets that aren't already cached
+     * @param {Array} entries - Asset entries, as in ASSET_MANIFEST
+     * @param {Function} progressCallback - Called with the fraction done (0 to 1) as each entry finishes
+     * @returns {Promise} - Resolves when every entry has loaded or fallen
+     * back, or rejects with the error of the first required asset that
+     * failed once the others are done
+     */
+    load: (entries, progressCallback) => {
+        let done = 0;
+        let firstError = null;
+
+        return Promise.all(entries.map(entry => {
+            return Assets._loadEntry(entry).catch(error => {
+                firstError = firstError || error;
+            }).then(() => {
+                done++;
+                if (progressCallback) {
+                    progressCallback(done / entries.length);
+                }
+            });
+        })).then(() => {
+            if (firstError) throw firstError;
+        });
+    },
+
+    /**
+     * Get a loaded asset
+     * @param {String} key - Key of the asset's entry
+     * @returns {*} - The asset, its fallback if it failed, or null if it
+     * hasn't been loaded
+     */
+    get: (key) => {
+        return Assets.cache.has(key) ? Assets.cache.get(key) : null;
+    },
+
+    /**
+     * Check whether an asset is in the cache
+     * @param {String} key - Key of the asset's entry
+     * @returns {Boolean} - True once loaded, or fallen back
+     */
+    has: (key) => {
+        return Assets.cache.has(key);
+    },
+
+    /**
+     * Drop an asset from the cache, so the next load fetches it again
+     * @param {String} key - Key of the asset's entry
+     */
+    remove: (key) => {
+        Assets.cache.delete(key);
+    },
+
+    /**
+     * Load one entry into the cache, sharing the load with any other
+     * caller loading the same key
+     * @private
+     */
+    _loadEntry: (entry) => {
+        if (Assets.cache.has(entry.key)) return Promise.resolve(Assets.cache.get(entry.key));
+        if (Assets.pending.has(entry.key)) return Assets.pending.get(entry.key);
+
+        const loader = ASSET_LOADERS[entry.type];
+        if (!loader) {
+            return Promise.reject(new Error(`Unknown asset type "${entry.type}" for ${entry.key}`));
+        }
+
+        const promise = Assets._attempt(loader, entry, 0).then(asset => {
+            Assets.cache.set(entry.key, asset);
+            return asset;
+        }, error => {
+            if (!('fallback' in entry)) throw error;
+
+            console.warn(`${error.message}, using fallback for ${entry.key}`);
+            Assets.cache.set(entry.key, entry.fallback);
+            return entry.fallback;
+        }).finally(() => {
+            Assets.pending.delete(entry.key);
+        });
+
+        Assets.pending.set(entry.key, promise);
+        return promise;
+    },
+
+    /**
+     * Run a loader, retrying after a delay if it fails or takes too long.
+     * Files that are missing (a 4xx response) or arrive malformed aren't
+     * retried, as fetching them again won't fix them.
+     * @private
+     */
+    _attempt: (loader, entry, attempt) => {
+        const loading = Promise.resolve().then(() => loader(entry));
+
+        return Assets._withTimeout(loading, entry.src).catch(error => {
+            const clientError = error instanceof HttpError && error.status >= 400 && error.status < 500;
+            if (attempt >= Assets.retries || clientError || error instanceof SyntaxError || error instanceof LevelFormatError) {
+                throw error;
+            }
+
+            return new Promise(resolve => {
+                setTimeout(resolve, Assets.retryDelay * Math.pow(2, attempt));
+            }).then(() => Assets._attempt(loader, entry, attempt + 1));
+        });
+    },
+
+    /**
+     * Fail a load that doesn't finish in time, e.g. a stalled request
+     * @private
+     */
+    _withTimeout: (promise, src) => {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Timed out loading ${src}`)), Assets.timeout);
+            promise.then(asset => {
+                clearTimeout(timer);
+                resolve(asset);
+            }, error => {
+                clearTimeout(timer);
+                reject(error);
+            });
+        });
+    }
+};
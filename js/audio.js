@@ -0,0 +1,360 @@
+/**
+ * Audio engine built on the Web Audio API
+ *
+ * Sound effects and music play through their own buses into a master bus,
+ * each with a volume. Every play starts a new voice, so a sound can overlap
+ * itself. Sound effects given a level position are panned and quietened by
+ * how far it is from the middle of the camera. Music loops, and switching
+ * tracks crossfades between them. Sounds are AudioBuffers from the asset
+ * cache, looked up by key.
+ *
+ * Settings are stored in localStorage as:
+ * { version, volumes: { master, music, sfx }, muted }
+ */
+
+/**
+ * Current audio settings format version
+ */
+const AUDIO_SETTINGS_VERSION = 1;
+
+/**
+ * Default bus volumes, from 0 to 1
+ */
+const DEFAULT_AUDIO_VOLUMES = {
+    master: 0.8,
+    music: 0.5,
+    sfx: 1
+};
+
+/**
+ * AudioEngine class for playing sounds and music
+ */
+class AudioEngine {
+    /**
+     * @param {Storage} storage - Storage backend (localStorage), or null if unavailable
+     * @param {String} storageKey - Key the settings are stored under
+     */
+    constructor(storage, storageKey = 'platformer.audio') {
+        this.storage = storage;
+        this.storageKey = storageKey;
+
+        this.volumes = Object.assign({}, DEFAULT_AUDIO_VOLUMES);
+        this.muted = false;
+
+        this.maxVoices = 4;           // Voices of one sound at once; more cut off the oldest
+        this.fullVolumeRange = 400;   // Distance from the camera middle heard at full volume, in pixels
+        this.hearingRange = 1200;     // Distance from the camera middle past which sounds are silent
+        this.maxPan = 0.8;            // Pan of sounds half a screen or more to the side
+        this.crossfadeTime = 1500;    // ms music tracks take to fade into each other
+
+        this.listener = null;         // Camera {x, y, width, height} positional sounds are heard from
+        this.voices = new Map();      // Sound key -> playing sources, oldest first
+        this.music = null;            // Playing track: {key, source, gain}
+        this.paused = false;
+
+        // Null where Web Audio isn't supported, leaving the game silent
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        this.context = AudioContextClass ? new AudioContextClass() : null;
+        this.buses = this.context ? this._createBuses() : null;
+
+        this.load();
+        this._applyVolumes();
+    }
+
+    /**
+     * Start the audio once the player interacts with the page. Browsers keep
+     * audio suspended until then.
+     * @param {EventTarget} target - Element to listen on
+     */
+    attach(target = window) {
+        const unlock = () => {
+            if (this.context && this.context.state === 'suspended' && !this.paused) {
+                this.context.resume();
+            }
+        };
+
+        ['keydown', 'pointerdown', 'touchstart'].forEach(type => {
+            target.addEventListener(type, unlock);
+        });
+    }
+
+    /**
+     * Set the camera positional sounds are heard from
+     * @param {Object} camera - {x, y, width, height} in level coordinates
+     */
+    setListener(camera) {
+        this.listener = camera;
+    }
+
+    /**
+     * Play a sound effect
+     * @param {String} key - Asset key of the sound
+     * @param {Object} options - volume (0 to 1), rate (playback speed) and
+     * x, y (level position the sound comes from, for panning and distance)
+     * @returns {AudioBufferSourceNode|null} - The voice, or null if nothing plays
+     */
+    play(key, options = {}) {
+        const buffer = Assets.get(key);
+        if (!this.context || !buffer) return null;
+
+        let volume = options.volume !== undefined ? options.volume : 1;
+        let pan = 0;
+        if (options.x !== undefined) {
+            const position = this._getPosition(options.x, options.y);
+            volume *= position.volume;
+            pan = position.pan;
+        }
+        if (volume <= 0) return null;
+
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.playbackRate.value = options.rate || 1;
+
+        const gain = this.context.createGain();
+        gain.gain.value = volume;
+        source.connect(gain);
+
+        if (pan !== 0 && this.context.createStereoPanner) {
+            const panner = this.context.createStereoPanner();
+            panner.pan.value = pan;
+            gain.connect(panner);
+            panner.connect(this.buses.sfx);
+        } else {
+            gain.connect(this.buses.sfx);
+        }
+
+        source.start();
+        this._addVoice(key, source);
+        return source;
+    }
+
+    /**
+     * Play a music track on a loop, crossfading from the one playing
+     * @param {String} key - Asset key of the track
+     * @param {Number} fadeTime - Crossfade length in ms
+     */
+    playMusic(key, fadeTime = this.crossfadeTime) {
+        if (!this.context || (this.music && this.music.key === key)) return;
+
+        this.stopMusic(fadeTime);
+
+        const buffer = Assets.get(key);
+        if (!buffer) return;
+
+        const now = this.context.currentTime;
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+
+        const gain = this.context.createGain();
+        gain.gain.setValueAtTime(0, now);
+        gain.gain.linearRampToValueAtTime(1, now + fadeTime / 1000);
+
+        source.connect(gain);
+        gain.connect(this.buses.music);
+        source.start();
+
+        this.music = { key, source, gain };
+    }
+
+    /**
+     * Fade out the music track
+     * @param {Number} fadeTime - Fade length in ms
+     */
+    stopMusic(fadeTime = this.crossfadeTime) {
+        if (!this.music) return;
+
+        const { source, gain } = this.music;
+        const end = this.context.currentTime + fadeTime / 1000;
+
+        gain.gain.cancelScheduledValues(this.context.currentTime);
+        gain.gain.setValueAtTime(gain.gain.value, this.context.currentTime);
+        gain.gain.linearRampToValueAtTime(0, end);
+        source.stop(end);
+
+        this.music = null;
+    }
+
+    /**
+     * Stop all audio until resumed, e.g. while the game is paused
+     */
+    pause() {
+        this.paused = true;
+        if (this.context) {
+            this.context.suspend();
+        }
+    }
+
+    /**
+     * Carry on after pause
+     */
+    resume() {
+        this.paused = false;
+        if (this.context) {
+            this.context.resume();
+        }
+    }
+
+    /**
+     * Set the volume of a bus
+     * @param {String} bus - 'master', 'music' or 'sfx'
+     * @param {Number} volume - 0 to 1
+     */
+    setVolume(bus, volume) {
+        if (!(bus in this.volumes)) {
+            throw new Error(`Unknown audio bus "${bus}"`);
+        }
+
+        this.volumes[bus] = Utils.clamp(volume, 0, 1);
+        this._applyVolumes();
+        this.save();
+    }
+
+    /**
+     * Turn all audio off or back on
+     * @param {Boolean} muted - True to silence everything
+     */
+    setMuted(muted) {
+        this.muted = muted;
+        this._applyVolumes();
+        this.save();
+    }
+
+    /**
+     * Go back to the default volumes, unmuted
+     */
+    resetSettings() {
+        this.volumes = Object.assign({}, DEFAULT_AUDIO_VOLUMES);
+        this.muted = false;
+        this._applyVolumes();
+        this.save();
+    }
+
+    /**
+     * Load settings from storage, keeping defaults for anything missing
+     */
+    load() {
+        let text = null;
+        try {
+            text = this.storage ? this.storage.getItem(this.storageKey) : null;
+        } catch (error) {
+            console.warn('Could not read audio settings:', error.message);
+        }
+        if (text === null) return;
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            console.warn('Stored audio settings are corrupt and were ignored:', error.message);
+            return;
+        }
+
+        if (!data || data.version !== AUDIO_SETTINGS_VERSION) {
+            console.warn('Stored audio settings have an unknown format and were ignored');
+            return;
+        }
+
+        if (data.volumes && typeof data.volumes === 'object') {
+            Object.keys(this.volumes).forEach(bus => {
+                if (typeof data.volumes[bus] === 'number') {
+                    this.volumes[bus] = Utils.clamp(data.volumes[bus], 0, 1);
+                }
+            });
+        }
+
+        this.muted = data.muted === true;
+    }
+
+    /**
+     * Write settings to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                version: AUDIO_SETTINGS_VERSION,
+                volumes: this.volumes,
+                muted: this.muted
+            }));
+        } catch (error) {
+            console.warn('Could not save audio settings:', error.message);
+        }
+    }
+
+    /**
+     * Create the master, music and sound effect buses
+     * @private
+     */
+    _createBuses() {
+        const master = this.context.createGain();
+        master.connect(this.context.destination);
+
+        const music = this.context.createGain();
+        music.connect(master);
+
+        const sfx = this.context.createGain();
+        sfx.connect(master);
+
+        return { master, music, sfx };
+    }
+
+    /**
+     * Set the bus gains from the volumes
+     * @private
+     */
+    _applyVolumes() {
+        if (!this.buses) return;
+
+        Object.keys(this.buses).forEach(bus => {
+            const volume = bus === 'master' && this.muted ? 0 : this.volumes[bus];
+            this.buses[bus].gain.value = volume;
+        });
+    }
+
+    /**
+     * Work out how a sound at a level position is heard from the camera:
+     * full volume near the middle, fading out with distance, and panned
+     * towards the side it is on
+     * @private
+     */
+    _getPosition(x, y) {
+        if (!this.listener) return { volume: 1, pan: 0 };
+
+        const halfWidth = this.listener.width / 2;
+        const dx = x - (this.listener.x + halfWidth);
+        const dy = y - (this.listener.y + this.listener.height / 2);
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        const fade = (distance - this.fullVolumeRange) / (this.hearingRange - this.fullVolumeRange);
+        return {
+            volume: 1 - Utils.clamp(fade, 0, 1),
+            pan: Utils.clamp(dx / halfWidth, -1, 1) * this.maxPan
+        };
+    }
+
+    /**
+     * Keep track of a voice, cutting off the oldest of the sound's voices
+     * when there are too many
+     * @private
+     */
+    _addVoice(key, source) {
+        if (!this.voices.has(key)) {
+            this.voices.set(key, []);
+        }
+        const voices = this.voices.get(key);
+
+        voices.push(source);
+        source.onended = () => {
+            const index = voices.indexOf(source);
+            if (index !== -1) {
+                voices.splice(index, 1);
+            }
+        };
+
+        if (voices.length > this.maxVoices) {
+            voices.shift().stop();
+        }
+    }
+}
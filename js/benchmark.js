@@ -0,0 +1,141 @@
+/**
+ * Benchmark for level collisions and drawing
+ *
+ * Open index.html?benchmark to run it. A generated level with thousands of
+ * objects is played by a scripted player twice: once with the spatial
+ * hashes and once looping over every object, as the level did before them.
+ * The average update and draw times per step are logged and shown on the
+ * page.
+ */
+
+/**
+ * Create the benchmark level: 500px chunks of ground, floating and moving
+ * platforms, coins, enemies, hazards and checkpoints, repeated across the level
+ * @param {Number} width - Level width in pixels
+ * @returns {Object} - Level data
+ */
+function createBenchmarkLevelData(width = 30000) {
+    const data = {
+        version: 1,
+        id: 'benchmark',
+        name: 'Benchmark',
+        width,
+        height: 600,
+        backgroundColor: '#87CEEB',
+        spawnPoint: { x: 100, y: 400 },
+        exitPoint: { x: width - 50, y: 400 },
+        platforms: [],
+        slopes: [],
+        collectibles: [],
+        enemies: [],
+        hazards: [],
+        checkpoints: []
+    };
+
+    for (let x = 0; x < width; x += 500) {
+        data.platforms.push({ x, y: 500, width: 500, height: 100 });
+        data.platforms.push({ x: x + 200, y: 180, width: 80, height: 20, options: { moving: true, moveX: 150, moveSpeed: 1 } });
+
+        for (let i = 0; i < 6; i++) {
+            data.platforms.push({ x: x + i * 80 + 10, y: 400 - (i % 3) * 60, width: 60, height: 20, options: { jumpThrough: true } });
+        }
+
+        data.slopes.push({ x: x + 380, y: 470, width: 60, height: 30 });
+
+        for (let i = 0; i < 20; i++) {
+            data.collectibles.push({ x: x + i * 25, y: 250 + (i % 4) * 50, type: 'coin', value: 10 });
+        }
+
+        data.enemies.push({ type: 'patrol', x: x + 50, y: 468, options: { patrolDistance: 150 } });
+        data.enemies.push({ type: 'jumper', x: x + 250, y: 460 });
+        data.enemies.push({ type: 'walker', x: x + 300, y: 468, options: { patrolDistance: 60 } });
+        data.enemies.push({ type: 'bat', x: x + 150, y: 120 });
+
+        data.hazards.push({ x: x + 120, y: 380, width: 40, height: 20, damage: 1 });
+        data.hazards.push({ x: x + 440, y: 480, width: 40, height: 20, damage: 1 });
+
+        if (x % 2500 === 0) {
+            data.checkpoints.push({ x: x + 20, y: 436 });
+        }
+    }
+
+    return data;
+}
+
+const Benchmark = {
+    /**
+     * Run the benchmark with and without the spatial hashes
+     * @param {CanvasRenderingContext2D} ctx - Canvas context to draw to
+     * @param {Number} steps - Simulation steps to run for each
+     * @returns {Promise<Array>} - Results: {mode, objects, update, draw} with times in ms per step
+     */
+    run: async (ctx, steps = 600) => {
+        const data = createBenchmarkLevelData();
+        return [
+            Benchmark._measure(ctx, data, true, steps),
+            Benchmark._measure(ctx, data, false, steps)
+        ];
+    },
+
+    /**
+     * Show results in a box over the page
+     * @param {Array} results - Results from run
+     */
+    show: (results) => {
+        const box = document.createElement('pre');
+        box.style.cssText = 'position: fixed; top: 10px; right: 10px; padding: 10px; margin: 0; ' +
+            'background: rgba(0, 0, 0, 0.8); color: white; font: 12px monospace; z-index: 100;';
+        box.textContent = ['Benchmark (ms per step)'].concat(results.map(result =>
+            `${result.mode.padEnd(8)} update ${result.update.toFixed(3)}  draw ${result.draw.toFixed(3)}`
+        )).join('\n') + `\n${results[0].objects} objects`;
+
+        document.body.appendChild(box);
+    },
+
+    /**
+     * Play the benchmark level with a scripted player and time it
+     * @private
+     */
+    _measure: (ctx, data, indexed, steps) => {
+        const level = new Level(data);
+        level.useSpatialIndex = indexed;
+
+        const physics = new Physics();
+        level.setPhysics(physics);
+
+        const clock = new GameClock();
+        const player = new Player(level.spawnPoint.x, level.spawnPoint.y);
+        player.setClock(clock);
+
+        let updateTime = 0;
+        let drawTime = 0;
+
+        for (let i = 0; i < steps; i++) {
+            // Run right, jumping now and then, and never die
+            player.keys.right = true;
+            player.keys.jump = i % 60 < 15;
+            player.health = player.maxHealth;
+
+            const updateStart = performance.now();
+            player.update(clock.step);
+            physics.update(player, level.getPlatformsNear(player), clock.step, level.getSlopesNear(player));
+            level.update(clock.step, player);
+            clock.advance();
+
+            const drawStart = performance.now();
+            const cameraX = Utils.clamp(player.x - ctx.canvas.width / 2, 0, level.width - ctx.canvas.width);
+            level.draw(ctx, cameraX, 0);
+            player.draw(ctx, cameraX, 0);
+
+            updateTime += drawStart - updateStart;
+            drawTime += performance.now() - drawStart;
+        }
+
+        return {
+            mode: indexed ? 'indexed' : 'linear',
+            objects: SPATIAL_KINDS.reduce((count, kind) => count + level[kind].length, 0),
+            update: updateTime / steps,
+            draw: drawTime / steps
+        };
+    }
+};
@@ -0,0 +1,327 @@
+/**
+ * Boss enemies
+ *
+ * A boss waits until the player walks into its arena, then cycles through
+ * the attacks of its current phase. Phases change when health drops to the
+ * phase threshold (a fraction of maximum health). While the fight is on the
+ * level keeps the player inside the arena, and the camera keeps the view
+ * there.
+ */
+
+/**
+ * Default boss phases, from full health down
+ */
+const BOSS_PHASES = [
+    { threshold: 1, attacks: ['charge', 'jumpSlam'], speedMultiplier: 1 },
+    { threshold: 0.66, attacks: ['charge', 'volley', 'jumpSlam'], speedMultiplier: 1.2 },
+    { threshold: 0.33, attacks: ['jumpSlam', 'volley', 'charge', 'volley'], speedMultiplier: 1.5 }
+];
+
+/**
+ * Boss class with phases and scripted attacks
+ */
+class Boss extends Enemy {
+    /**
+     * @param {Number} x - X position
+     * @param {Number} y - Y position
+     * @param {Object} options - {name, width, height, health, arenaX, arenaY, arenaWidth, arenaHeight, completesLevel}
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options.width || 80, options.height || 80, '#8e44ad');
+        this.animator.play('boss');
+
+        this.name = options.name || 'Boss';
+        this.startX = x;
+        this.startY = y;
+        this.maxHealth = options.health || 12;
+        this.health = this.maxHealth;
+        this.damage = 1;
+        this.phases = BOSS_PHASES;
+        this.phaseIndex = 0;
+        this.completesLevel = options.completesLevel || false;
+
+        // Area the fight is locked to, by default the screen around the boss
+        this.arena = {
+            x: options.arenaX !== undefined ? options.arenaX : x - 400,
+            y: options.arenaY !== undefined ? options.arenaY : y - 400,
+            width: options.arenaWidth || 800,
+            height: options.arenaHeight || 600
+        };
+
+        // Fight state
+        this.fightStarted = false;
+        this.state = 'waiting';       // waiting, idle, windup, charge, jump, recover, volley, roar
+        this.stateTimer = 0;
+        this.attackIndex = 0;
+        this.invulnerableTimer = 0;
+        this.invulnerableDuration = 600;
+
+        // Attack settings
+        this.idleTime = 900;          // ms between attacks
+        this.windupTime = 500;        // ms warning before an attack
+        this.chargeSpeed = 7;
+        this.chargeTime = 1400;
+        this.jumpForce = -14;
+        this.slamRadius = 160;        // Grounded players within this distance are hit by a slam
+        this.volleyCount = 5;
+        this.volleySpread = 0.25;     // Radians between shots
+        this.projectileSpeed = 5;
+        this.recoverTime = 700;
+    }
+
+    /**
+     * Start the fight
+     */
+    startFight() {
+        this.fightStarted = true;
+        this._setState('idle', this.idleTime);
+    }
+
+    /**
+     * Check whether the fight is in progress
+     * @returns {Boolean} - True between the start of the fight and the boss's defeat
+     */
+    isFighting() {
+        return this.fightStarted && this.active;
+    }
+
+    /**
+     * Get the current phase
+     * @returns {Object} - Entry of BOSS_PHASES
+     */
+    getPhase() {
+        return this.phases[this.phaseIndex];
+    }
+
+    update(deltaTime, player, level) {
+        super.update(deltaTime, player, level);
+
+        if (!this.active || !this.fightStarted) return;
+
+        this.stateTimer -= deltaTime;
+        const speed = this.getPhase().speedMultiplier;
+
+        switch (this.state) {
+            case 'idle':
+                this.vx = 0;
+                this._facePlayer(player);
+                if (this.stateTimer <= 0) {
+                    this._setState('windup', this.windupTime / speed);
+                }
+                break;
+
+            case 'windup':
+                this.vx = 0;
+                if (this.stateTimer <= 0) {
+                    this._startAttack(player, level);
+                }
+                break;
+
+            case 'charge':
+                this.vx = this.chargeSpeed * speed * (this.facingRight ? 1 : -1);
+
+                // Stop at the arena edge, a wall, or after a while
+                if (this.stateTimer <= 0 || this.onWall || this._atArenaEdge()) {
+                    this._setState('recover', this.recoverTime);
+                }
+                break;
+
+            case 'jump':
+                // Land with a slam that hits grounded players nearby
+                if (this.onGround && this.stateTimer <= 0) {
+                    this.vx = 0;
+                    const distance = Math.abs((player.x + player.width / 2) - (this.x + this.width / 2));
+                    if (player.onGround && distance < this.slamRadius) {
+                        player.takeDamage(this.damage, player.x + player.width / 2 > this.x + this.width / 2 ? 8 : -8, -8);
+                    }
+                    this._setState('recover', this.recoverTime);
+                }
+                break;
+
+            case 'volley':
+                this.vx = 0;
+                if (this.stateTimer <= 0) {
+                    this._setState('recover', this.recoverTime);
+                }
+                break;
+
+            case 'recover':
+            case 'roar':
+                this.vx = 0;
+                if (this.stateTimer <= 0) {
+                    this._setState('idle', this.idleTime / speed);
+                }
+                break;
+        }
+    }
+
+    draw(ctx, offsetX = 0, offsetY = 0) {
+        if (!this.active) return;
+
+        ctx.save();
+
+        // Flash while winding up an attack or after being hit
+        if ((this.state === 'windup' && Math.floor(this.stateTimer / 80) % 2) ||
+            (this.invulnerableTimer > 0 && Math.floor(this.invulnerableTimer / 100) % 2)) {
+            ctx.globalAlpha = 0.5;
+        }
+
+        if (!this.animator.draw(ctx, this, offsetX, offsetY, !this.facingRight)) {
+            ctx.fillStyle = this.state === 'roar' ? '#c0392b' : this.color;
+            ctx.fillRect(this.x - offsetX, this.y - offsetY, this.width, this.height);
+
+            // Eyes facing the player
+            ctx.fillStyle = 'yellow';
+            const eyeX = this.facingRight ? this.width - 24 : 8;
+            ctx.fillRect(this.x - offsetX + eyeX, this.y - offsetY + 16, 16, 10);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw the boss health bar across the top of the screen
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    drawHealthBar(ctx) {
+        const width = ctx.canvas.width * 0.6;
+        const x = (ctx.canvas.width - width) / 2;
+        const y = 20;
+
+        ctx.save();
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(x - 4, y - 4, width + 8, 24);
+
+        ctx.fillStyle = '#c0392b';
+        ctx.fillRect(x, y, width * Math.max(0, this.health) / this.maxHealth, 16);
+
+        // Phase threshold marks
+        ctx.fillStyle = 'white';
+        this.phases.slice(1).forEach(phase => {
+            ctx.fillRect(x + width * phase.threshold - 1, y, 2, 16);
+        });
+
+        ctx.font = '12px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.name, ctx.canvas.width / 2, y + 12);
+        ctx.restore();
+    }
+
+    takeDamage(amount = 1, knockbackX = 0, knockbackY = 0) {
+        // Bosses shrug off knockback
+        if (!this.fightStarted || this.isStunned() || this.state === 'roar') return false;
+
+        this.health -= amount;
+        this.invulnerableTimer = this.invulnerableDuration;
+
+        if (this.health <= 0) {
+            this.die();
+            return true;
+        }
+
+        // Move to the next phase when health drops to its threshold
+        const nextPhase = this.phases[this.phaseIndex + 1];
+        if (nextPhase && this.health <= this.maxHealth * nextPhase.threshold) {
+            this.phaseIndex++;
+            this.attackIndex = 0;
+            this._setState('roar', 1200);
+        }
+        return true;
+    }
+
+    reset(x = this.startX, y = this.startY) {
+        super.reset(x, y);
+        this.health = this.maxHealth;
+        this.phaseIndex = 0;
+        this.attackIndex = 0;
+        this.fightStarted = false;
+        this.state = 'waiting';
+        this.invulnerableTimer = 0;
+    }
+
+    /**
+     * Begin the next attack of the current phase
+     * @private
+     */
+    _startAttack(player, level) {
+        const attacks = this.getPhase().attacks;
+        const attack = attacks[this.attackIndex % attacks.length];
+        this.attackIndex++;
+
+        this._facePlayer(player);
+
+        switch (attack) {
+            case 'charge':
+                this._setState('charge', this.chargeTime);
+                break;
+
+            case 'jumpSlam': {
+                // Jump to land on the player
+                const dx = (player.x + player.width / 2) - (this.x + this.width / 2);
+                this.vy = this.jumpForce;
+                this.vx = Utils.clamp(dx / 60, -8, 8);
+                this.onGround = false;
+                this._setState('jump', 200);
+                break;
+            }
+
+            case 'volley':
+                this._fireVolley(player, level.projectiles);
+                this._setState('volley', 400);
+                break;
+        }
+    }
+
+    /**
+     * Fire a fan of projectiles at the player
+     * @private
+     */
+    _fireVolley(player, projectiles) {
+        const originX = this.x + this.width / 2;
+        const originY = this.y + this.height / 3;
+        const angle = Math.atan2(
+            (player.y + player.height / 2) - originY,
+            (player.x + player.width / 2) - originX
+        );
+
+        for (let i = 0; i < this.volleyCount; i++) {
+            const shotAngle = angle + (i - (this.volleyCount - 1) / 2) * this.volleySpread;
+            projectiles.spawn({
+                x: originX,
+                y: originY,
+                vx: Math.cos(shotAngle) * this.projectileSpeed,
+                vy: Math.sin(shotAngle) * this.projectileSpeed,
+                radius: 8,
+                damage: this.damage,
+                owner: this
+            });
+        }
+    }
+
+    /**
+     * Check whether the boss reached the side of the arena it is moving towards
+     * @private
+     */
+    _atArenaEdge() {
+        return this.facingRight
+            ? this.x + this.width >= this.arena.x + this.arena.width
+            : this.x <= this.arena.x;
+    }
+
+    /**
+     * Turn towards the player
+     * @private
+     */
+    _facePlayer(player) {
+        this.facingRight = player.x + player.width / 2 > this.x + this.width / 2;
+    }
+
+    /**
+     * Switch state and start its timer
+     * @private
+     */
+    _setState(state, duration) {
+        this.state = state;
+        this.stateTimer = duration;
+    }
+}
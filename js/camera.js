@@ -0,0 +1,284 @@
+/**
+ * Camera following the player
+ *
+ * The player moves freely inside a deadzone around the middle of the view
+ * before the camera follows, and the camera looks ahead in the direction
+ * the player faces. Vertically it only catches up when the player lands,
+ * so jumps don't bob the view, unless the player leaves the deadzone in
+ * the air (e.g. a long fall). Hits add trauma, which shakes the view and
+ * wears off over time.
+ *
+ * Levels can define camera regions: while the player is inside one, it
+ * locks the view on the region's middle (e.g. a boss room) or limits the
+ * view to the region (e.g. a secret area that shouldn't show what is
+ * around it), and can zoom the view.
+ */
+
+/**
+ * What a camera region does to the view: 'lock' centers it on the region,
+ * 'limit' keeps it inside the region
+ */
+const CAMERA_REGION_MODES = ['lock', 'limit'];
+
+/**
+ * Trauma (0 to 1) added by player events
+ */
+const PLAYER_EVENT_SHAKES = {
+    damage: 0.5,
+    stomp: 0.3
+};
+
+/**
+ * CameraRegion class for an area of a level that changes the view
+ */
+class CameraRegion {
+    /**
+     * @param {Object} data - {x, y, width, height, mode, zoom} from the level file
+     */
+    constructor(data) {
+        this.x = data.x;
+        this.y = data.y;
+        this.width = data.width;
+        this.height = data.height;
+        this.mode = data.mode || 'limit';
+        this.zoom = data.zoom || null;   // Zoom while inside, or null to keep the camera's
+    }
+
+    /**
+     * Check whether a point is inside the region
+     * @param {Number} x - Level X
+     * @param {Number} y - Level Y
+     * @returns {Boolean} - True if inside
+     */
+    contains(x, y) {
+        return x >= this.x && x < this.x + this.width && y >= this.y && y < this.y + this.height;
+    }
+}
+
+/**
+ * Camera class deciding which part of the level is on screen
+ */
+class Camera {
+    /**
+     * @param {Object} viewport - Canvas (or {width, height}) the view is drawn to
+     */
+    constructor(viewport) {
+        this.viewport = viewport;
+
+        // Top left of the view in level coordinates, and its size in level
+        // pixels (the viewport size divided by the zoom)
+        this.x = 0;
+        this.y = 0;
+        this.width = viewport.width;
+        this.height = viewport.height;
+        this.zoom = 1;
+        this.prevX = 0;             // Position and zoom before the last simulation step, for interpolation
+        this.prevY = 0;
+        this.prevZoom = 1;
+
+        this.deadzoneWidth = 80;    // Width of the window around the view middle the player moves in freely
+        this.deadzoneHeight = 200;  // Height of that window; leaving it follows the player even in the air
+        this.lookAhead = 100;       // Distance the view leads the player by, in the direction it faces
+        this.lookAheadSpeed = 0.04; // Fraction of the way to the new look-ahead covered per step
+        this.followSpeed = 0.1;     // Fraction of the way to the target position covered per step
+        this.defaultZoom = 1;       // Zoom outside regions that set their own
+        this.zoomSpeed = 0.05;      // Fraction of the way to the target zoom covered per step
+
+        this.traumaDecay = 1.5;     // Trauma lost per second
+        this.maxShake = 12;         // Shake offset at full trauma, in screen pixels
+
+        this.focusX = 0;            // Level point kept in the middle of the view, before look-ahead
+        this.focusY = 0;
+        this.lookAheadX = 0;        // Current look-ahead, easing towards the facing side
+        this.region = null;         // CameraRegion the player is in
+        this.trauma = 0;            // 0 to 1; the shake grows with its square
+        this.shakeX = 0;
+        this.shakeY = 0;
+
+        // The shake is only visual, but seeded so seeking a replay looks the same
+        this.random = Utils.createRandom(1);
+    }
+
+    /**
+     * Jump straight to a position, e.g. the spawn point, dropping any shake
+     * @param {Object} point - {x, y} level position to center on
+     * @param {Level} level - Level being played
+     */
+    reset(point, level) {
+        this.region = this._findRegion(level, point.x, point.y);
+        this.zoom = (this.region && this.region.zoom) || this.defaultZoom;
+        this._updateSize();
+
+        this.focusX = point.x;
+        this.focusY = point.y;
+        this.lookAheadX = 0;
+        this.trauma = 0;
+        this.shakeX = 0;
+        this.shakeY = 0;
+        this.random = Utils.createRandom(1);
+
+        this.x = this._getTargetX();
+        this.y = this._getTargetY();
+        this._constrain(level);
+
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.prevZoom = this.zoom;
+    }
+
+    /**
+     * Follow a target for one simulation step
+     * @param {Object} target - Entity to follow, e.g. the player ({x, y, width, height, onGround, facingRight})
+     * @param {Level} level - Level being played
+     * @param {Number} deltaTime - Length of the simulation step in milliseconds
+     */
+    update(target, level, deltaTime) {
+        const centerX = target.x + target.width / 2;
+        const centerY = target.y + target.height / 2;
+
+        this.region = this._findRegion(level, centerX, centerY);
+
+        const targetZoom = (this.region && this.region.zoom) || this.defaultZoom;
+        this.zoom += (targetZoom - this.zoom) * this.zoomSpeed;
+        this._updateSize();
+
+        // Keep the target inside the deadzone, snapping vertically on landing
+        this.focusX = Utils.clamp(this.focusX, centerX - this.deadzoneWidth / 2, centerX + this.deadzoneWidth / 2);
+        if (target.onGround) {
+            this.focusY = centerY;
+        } else {
+            this.focusY = Utils.clamp(this.focusY, centerY - this.deadzoneHeight / 2, centerY + this.deadzoneHeight / 2);
+        }
+
+        const lookAhead = target.facingRight ? this.lookAhead : -this.lookAhead;
+        this.lookAheadX += (lookAhead - this.lookAheadX) * this.lookAheadSpeed;
+
+        this.x += (this._getTargetX() - this.x) * this.followSpeed;
+        this.y += (this._getTargetY() - this.y) * this.followSpeed;
+        this._constrain(level);
+
+        this._updateShake(deltaTime);
+    }
+
+    /**
+     * Shake the view
+     * @param {Number} amount - Trauma to add, 0 to 1
+     */
+    addTrauma(amount) {
+        this.trauma = Math.min(1, this.trauma + amount);
+    }
+
+    /**
+     * Get where to draw the level from
+     * @param {Number} alpha - Progress between the last two simulation steps (0 to 1)
+     * @returns {Object} - {x, y, zoom}: top left of the view in level
+     * coordinates, shake included, and the scale to draw at
+     */
+    getView(alpha = 1) {
+        const zoom = Utils.lerp(this.prevZoom, this.zoom, alpha);
+        return {
+            x: Utils.lerp(this.prevX, this.x, alpha) + this.shakeX / zoom,
+            y: Utils.lerp(this.prevY, this.y, alpha) + this.shakeY / zoom,
+            zoom
+        };
+    }
+
+    /**
+     * Store the position before a simulation step for render interpolation
+     */
+    savePreviousPosition() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.prevZoom = this.zoom;
+    }
+
+    /**
+     * Get the view X that puts the focus (or a locking region) in the middle
+     * @private
+     */
+    _getTargetX() {
+        if (this.region && this.region.mode === 'lock') {
+            return this.region.x + (this.region.width - this.width) / 2;
+        }
+        return this.focusX + this.lookAheadX - this.width / 2;
+    }
+
+    /**
+     * Get the view Y that puts the focus (or a locking region) in the middle
+     * @private
+     */
+    _getTargetY() {
+        if (this.region && this.region.mode === 'lock') {
+            return this.region.y + (this.region.height - this.height) / 2;
+        }
+        return this.focusY - this.height / 2;
+    }
+
+    /**
+     * Keep the view inside a limiting region, the arena of a boss fight in
+     * progress and the level
+     * @private
+     */
+    _constrain(level) {
+        const limits = [];
+        if (this.region && this.region.mode === 'limit') {
+            limits.push(this.region);
+        }
+        if (level.activeBoss) {
+            limits.push(level.activeBoss.arena);
+        }
+        limits.push({ x: 0, y: 0, width: level.width, height: level.height });
+
+        limits.forEach(limit => {
+            this.x = this._clampToRange(this.x, limit.x, limit.width, this.width);
+            this.y = this._clampToRange(this.y, limit.y, limit.height, this.height);
+        });
+    }
+
+    /**
+     * Clamp a view coordinate so the view stays inside a range, centering
+     * the range when it is smaller than the view
+     * @private
+     */
+    _clampToRange(position, start, length, viewSize) {
+        if (length <= viewSize) {
+            return start + (length - viewSize) / 2;
+        }
+        return Utils.clamp(position, start, start + length - viewSize);
+    }
+
+    /**
+     * Find the region a point is in. Where regions overlap, the one listed
+     * last wins, so smaller regions go after the ones they sit in.
+     * @private
+     */
+    _findRegion(level, x, y) {
+        for (let i = level.cameraRegions.length - 1; i >= 0; i--) {
+            if (level.cameraRegions[i].contains(x, y)) {
+                return level.cameraRegions[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Work out the view size in level pixels from the viewport and zoom
+     * @private
+     */
+    _updateSize() {
+        this.width = this.viewport.width / this.zoom;
+        this.height = this.viewport.height / this.zoom;
+    }
+
+    /**
+     * Wear off trauma and pick this step's shake offset
+     * @private
+     */
+    _updateShake(deltaTime) {
+        this.trauma = Math.max(0, this.trauma - this.traumaDecay * deltaTime / 1000);
+
+        const shake = this.maxShake * this.trauma * this.trauma;
+        this.shakeX = shake * (this.random() * 2 - 1);
+        this.shakeY = shake * (this.random() * 2 - 1);
+    }
+}
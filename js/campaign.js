@@ -0,0 +1,268 @@
+/**
+ * Campaign structure: ordered worlds made of levels, with unlock rules
+ */
+
+/**
+ * Schema describing the campaign file (see LevelLoader.validateSchema)
+ */
+const CAMPAIGN_SCHEMA = {
+    type: 'object',
+    properties: {
+        version: { type: 'integer', required: true, min: 1 },
+        worlds: {
+            type: 'array',
+            required: true,
+            items: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', required: true },
+                    name: { type: 'string', required: true },
+                    requires: { type: 'array', items: { type: 'string' } },
+                    levels: {
+                        type: 'array',
+                        required: true,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                id: { type: 'string', required: true },
+                                file: { type: 'string' },
+                                requires: { type: 'array', items: { type: 'string' } }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * Campaign class to track worlds, level order and unlock state
+ *
+ * Unlock rules: a level is playable once every level listed in its
+ * `requires` is completed. Without `requires`, a level needs the level
+ * before it in campaign order. A world's `requires` applies to all of
+ * its levels on top of that. Levels unlocked in a saved game stay
+ * unlocked even if the rules change later.
+ */
+class Campaign {
+    constructor(campaignData) {
+        this.worlds = [];
+        this.levels = [];   // Level entries in play order
+        this.progress = {}; // Results keyed by level ID
+        this.unlocked = new Set(); // Level IDs unlocked by a saved game
+
+        campaignData.worlds.forEach((worldData, worldIndex) => {
+            const world = {
+                id: worldData.id,
+                name: worldData.name,
+                requires: worldData.requires || [],
+                levels: []
+            };
+
+            worldData.levels.forEach(levelData => {
+                const previous = this.levels[this.levels.length - 1];
+                const entry = {
+                    id: levelData.id,
+                    file: levelData.file,
+                    name: levelData.id,
+                    index: this.levels.length,
+                    worldIndex,
+                    requires: levelData.requires || (previous ? [previous.id] : [])
+                };
+
+                world.levels.push(entry);
+                this.levels.push(entry);
+            });
+
+            this.worlds.push(world);
+        });
+    }
+
+    /**
+     * Get the play-order index of a level
+     * @param {String} levelId - Level ID
+     * @returns {Number} - Index, or -1 if the level is not in the campaign
+     */
+    getLevelIndex(levelId) {
+        return this.levels.findIndex(entry => entry.id === levelId);
+    }
+
+    /**
+     * Check whether a level can be played
+     * @param {String} levelId - Level ID
+     * @returns {Boolean} - True if all unlock requirements are met
+     */
+    isUnlocked(levelId) {
+        const entry = this.levels[this.getLevelIndex(levelId)];
+        if (!entry) return false;
+        if (this.unlocked.has(levelId)) return true;
+
+        const world = this.worlds[entry.worldIndex];
+        return entry.requires.every(id => this.isCompleted(id)) &&
+               world.requires.every(id => this.isCompleted(id));
+    }
+
+    /**
+     * Check whether a level has been completed
+     * @param {String} levelId - Level ID
+     * @returns {Boolean} - True if the level was finished at least once
+     */
+    isCompleted(levelId) {
+        return Boolean(this.progress[levelId] && this.progress[levelId].completed);
+    }
+
+    /**
+     * Check whether every level of the campaign has been completed
+     * @returns {Boolean} - True if the campaign is finished
+     */
+    isComplete() {
+        return this.levels.every(entry => this.isCompleted(entry.id));
+    }
+
+    /**
+     * Get the recorded results for a level
+     * @param {String} levelId - Level ID
+     * @returns {Object|null} - {completed, bestScore, bestTime, bestCollectibles, totalCollectibles}
+     */
+    getProgress(levelId) {
+        return this.progress[levelId] || null;
+    }
+
+    /**
+     * Get the best collectible percentage for a level
+     * @param {String} levelId - Level ID
+     * @returns {Number} - Percentage from 0 to 100
+     */
+    getCollectiblePercentage(levelId) {
+        const progress = this.getProgress(levelId);
+        if (!progress) return 0;
+        if (progress.totalCollectibles === 0) return 100;
+
+        return Math.round((progress.bestCollectibles / progress.totalCollectibles) * 100);
+    }
+
+    /**
+     * Record the result of a finished level, keeping the best values
+     * @param {String} levelId - Level ID
+     * @param {Object} result - {score, time, collectibles, totalCollectibles}
+     * @returns {Object} - Updated progress for the level
+     */
+    recordResult(levelId, result) {
+        const progress = this.progress[levelId] || {
+            completed: false,
+            bestScore: 0,
+            bestTime: null,
+            bestCollectibles: 0,
+            totalCollectibles: result.totalCollectibles
+        };
+
+        progress.completed = true;
+        progress.bestScore = Math.max(progress.bestScore, result.score);
+        progress.bestTime = progress.bestTime === null ? result.time : Math.min(progress.bestTime, result.time);
+        progress.bestCollectibles = Math.max(progress.bestCollectibles, result.collectibles);
+        progress.totalCollectibles = result.totalCollectibles;
+
+        this.progress[levelId] = progress;
+        return progress;
+    }
+
+    /**
+     * Replace progress with saved data
+     * @param {Object} progress - Results keyed by level ID
+     * @param {Array} unlockedLevels - IDs of levels unlocked in the save
+     */
+    restoreProgress(progress = {}, unlockedLevels = []) {
+        this.progress = {};
+        this.unlocked = new Set(unlockedLevels);
+
+        // Ignore levels that are no longer part of the campaign
+        Object.entries(progress).forEach(([levelId, levelProgress]) => {
+            if (this.getLevelIndex(levelId) !== -1) {
+                this.progress[levelId] = Object.assign({ bestTime: null }, levelProgress);
+            }
+        });
+    }
+
+    /**
+     * Get the IDs of every level that can currently be played
+     * @returns {Array} - Unlocked level IDs in play order
+     */
+    getUnlockedLevels() {
+        return this.levels.filter(entry => this.isUnlocked(entry.id)).map(entry => entry.id);
+    }
+}
+
+/**
+ * Validate campaign data and create a campaign
+ * @param {Object} data - Parsed campaign data
+ * @returns {Campaign} - Campaign instance
+ * @throws {LevelFormatError} - If the data does not match the campaign format
+ */
+function createCampaign(data) {
+    LevelLoader.validateSchema(data, CAMPAIGN_SCHEMA);
+
+    const campaign = new Campaign(data);
+
+    if (campaign.levels.length === 0) {
+        throw new LevelFormatError('worlds must contain at least one level', 'worlds');
+    }
+
+    campaign.levels.forEach((entry, index) => {
+        if (campaign.getLevelIndex(entry.id) !== index) {
+            throw new LevelFormatError(`level ID "${entry.id}" is used more than once`, 'worlds');
+        }
+    });
+
+    // Every unlock requirement must point at a level in this campaign
+    data.worlds.forEach((world, worldIndex) => {
+        (world.requires || []).forEach((id, index) => {
+            if (campaign.getLevelIndex(id) === -1) {
+                throw new LevelFormatError(
+                    `worlds[${worldIndex}].requires[${index}] references unknown level "${id}"`,
+                    `worlds[${worldIndex}].requires[${index}]`
+                );
+            }
+        });
+
+        world.levels.forEach((level, levelIndex) => {
+            (level.requires || []).forEach((id, index) => {
+                const path = `worlds[${worldIndex}].levels[${levelIndex}].requires[${index}]`;
+                if (campaign.getLevelIndex(id) === -1) {
+                    throw new LevelFormatError(`${path} references unknown level "${id}"`, path);
+                }
+            });
+        });
+    });
+
+    return campaign;
+}
+
+/**
+ * Fetch and load a campaign file
+ * @param {String} path - URL of the campaign file
+ * @returns {Promise<Campaign>} - Resolves with the loaded campaign
+ */
+function loadCampaign(path) {
+    return fetch(path)
+        .then(response => {
+            if (!response.ok) {
+                throw new HttpError(`Failed to load campaign: ${path} (${response.status})`, response.status);
+            }
+            return response.json();
+        })
+        .then(data => createCampaign(data));
+}
+
+/**
+ * Create a one-level campaign around the built-in sample level
+ * @returns {Campaign} - Campaign with a single world and level
+ */
+function createSampleCampaign() {
+    return createCampaign({
+        version: 1,
+        worlds: [
+            { id: 'world-1', name: 'Green Hills', levels: [{ id: '1-1' }] }
+        ]
+    });
+}
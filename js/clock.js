@@ -0,0 +1,41 @@
+/**
+ * Game clock for the fixed-timestep simulation
+ *
+ * The clock only advances when the game loop runs a simulation step, so
+ * anything timed against it behaves the same regardless of frame rate.
+ * Use it instead of performance.now() for gameplay timing.
+ */
+class GameClock {
+    /**
+     * @param {Number} step - Length of one simulation step in milliseconds
+     */
+    constructor(step = 1000 / 60) {
+        this.step = step;
+        this.time = 0;  // Simulation time in milliseconds
+        this.tick = 0;  // Number of steps run
+    }
+
+    /**
+     * Get the current simulation time
+     * @returns {Number} - Simulation time in milliseconds
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * Advance the clock by one simulation step
+     */
+    advance() {
+        this.time += this.step;
+        this.tick++;
+    }
+
+    /**
+     * Reset the clock to zero
+     */
+    reset() {
+        this.time = 0;
+        this.tick = 0;
+    }
+}
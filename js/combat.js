@@ -0,0 +1,235 @@
+/**
+ * Combat between the player and enemies
+ *
+ * Hits are checked between hitboxes (the part of an entity that deals
+ * damage, or the player's attack) and hurtboxes (the part that can be hit),
+ * not the full AABBs used for physics. Entities may define `hitbox` and
+ * `hurtbox` as rectangles relative to their position; without one, the AABB
+ * is used.
+ *
+ * How a stomp is handled depends on the enemy's stompRule:
+ * - damage: the enemy takes a hit and the player bounces (default)
+ * - bounce: the player bounces off without hurting the enemy
+ * - hurt:   the enemy is spiked and the player gets hurt instead
+ */
+
+/**
+ * Combat settings
+ */
+const COMBAT = {
+    stompTolerance: 8,                  // px the player's feet may be below an enemy's top and still stomp
+    stompBounce: -10,                   // Player vertical speed after a stomp
+    contactKnockback: 5,                // Push away from an enemy that touches the player
+    attackKnockback: 6,                 // Push an enemy away from the player's attack
+    hitStop: { stomp: 50, attack: 80 }, // ms the game freezes on a hit
+    comboPoints: [100, 200, 400, 800, 1000], // Points for each stomp chained without landing
+    attackPoints: 100,                  // Points for defeating an enemy with an attack
+    popupTime: 800                      // ms points stay on screen
+};
+
+/**
+ * Valid values of Enemy.stompRule
+ */
+const STOMP_RULES = ['damage', 'bounce', 'hurt'];
+
+/**
+ * CombatSystem class to resolve hits between the player and enemies
+ */
+class CombatSystem {
+    constructor() {
+        this.hitStopTimer = 0;  // ms left of the current hit-stop
+        this.combo = 0;         // Stomps since the player last stood on the ground
+        this.popups = [];       // Points shown where they were scored: {x, y, text, life}
+    }
+
+    /**
+     * Get a box in level coordinates
+     * @param {Object} entity - Entity with x and y
+     * @param {Object} box - Box relative to the entity, or null for the entity's AABB
+     * @returns {Object} - {x, y, width, height}
+     */
+    static getBox(entity, box) {
+        if (!box) return entity;
+
+        return {
+            x: entity.x + box.x,
+            y: entity.y + box.y,
+            width: box.width,
+            height: box.height
+        };
+    }
+
+    /**
+     * Check whether the game is frozen by a hit-stop
+     * @returns {Boolean} - True while frozen
+     */
+    isFrozen() {
+        return this.hitStopTimer > 0;
+    }
+
+    /**
+     * Count down the hit-stop
+     * @param {Number} deltaTime - Time since last update in milliseconds
+     */
+    updateHitStop(deltaTime) {
+        this.hitStopTimer = Math.max(0, this.hitStopTimer - deltaTime);
+    }
+
+    /**
+     * Resolve attacks, stomps and contact damage
+     * @param {Number} deltaTime - Time since last update in milliseconds
+     * @param {Player} player - Player
+     * @param {Array} enemies - Level enemies
+     */
+    update(deltaTime, player, enemies) {
+        // Combos last until the player lands
+        if (player.onGround) {
+            this.combo = 0;
+        }
+
+        this._updatePopups(deltaTime);
+
+        const attackBox = player.getAttackHitbox();
+        const playerBox = CombatSystem.getBox(player, player.hurtbox);
+
+        enemies.forEach(enemy => {
+            if (!enemy.active) return;
+
+            const enemyHurtbox = CombatSystem.getBox(enemy, enemy.hurtbox);
+
+            if (attackBox && Utils.checkCollision(attackBox, enemyHurtbox)) {
+                this._attackHit(player, enemy);
+            }
+
+            if (!enemy.active || !Utils.checkCollision(playerBox, CombatSystem.getBox(enemy, enemy.hitbox))) return;
+
+            if (this._isStomp(player, enemyHurtbox, deltaTime)) {
+                this._stomp(player, enemy);
+            } else if (!enemy.isStunned()) {
+                // Enemies reeling from a hit don't hurt the player
+                player.takeDamage(enemy.damage, this._directionAway(enemy, player) * COMBAT.contactKnockback);
+            }
+        });
+    }
+
+    /**
+     * Remove combos, popups and hit-stop, e.g. when the level restarts
+     */
+    reset() {
+        this.hitStopTimer = 0;
+        this.combo = 0;
+        this.popups = [];
+    }
+
+    /**
+     * Draw points scored
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Number} offsetX - Camera X offset
+     * @param {Number} offsetY - Camera Y offset
+     */
+    draw(ctx, offsetX = 0, offsetY = 0) {
+        if (this.popups.length === 0) return;
+
+        ctx.save();
+        ctx.font = 'bold 16px Arial';
+        ctx.textAlign = 'center';
+
+        this.popups.forEach(popup => {
+            ctx.globalAlpha = Math.min(1, popup.life / 300);
+            ctx.fillStyle = 'white';
+            ctx.fillText(popup.text, popup.x - offsetX, popup.y - offsetY);
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Check whether the player lands on top of an enemy: falling, with the
+     * feet above the enemy's hurtbox before this step
+     * @private
+     */
+    _isStomp(player, enemyHurtbox, deltaTime) {
+        if (player.vy <= 0 || player.onGround) return false;
+
+        const previousBottom = player.y + player.height - player.vy * (deltaTime / 16.67);
+        return previousBottom <= enemyHurtbox.y + COMBAT.stompTolerance;
+    }
+
+    /**
+     * Handle the player landing on an enemy
+     * @private
+     */
+    _stomp(player, enemy) {
+        if (enemy.stompRule === 'hurt') {
+            player.takeDamage(enemy.damage, this._directionAway(enemy, player) * COMBAT.contactKnockback, -8);
+            return;
+        }
+
+        player.vy = COMBAT.stompBounce;
+        player.events.emit('stomp', { enemy });
+
+        if (enemy.stompRule === 'bounce' || !enemy.takeDamage(1, 0, 0)) return;
+
+        this.hitStopTimer = COMBAT.hitStop.stomp;
+        this.combo++;
+
+        const points = COMBAT.comboPoints[Math.min(this.combo, COMBAT.comboPoints.length) - 1];
+        this._score(player, enemy, points, this.combo);
+    }
+
+    /**
+     * Handle the player's attack hitting an enemy
+     * @private
+     */
+    _attackHit(player, enemy) {
+        const direction = this._directionAway(player, enemy);
+        if (!enemy.takeDamage(1, direction * COMBAT.attackKnockback, -4)) return;
+
+        this.hitStopTimer = COMBAT.hitStop.attack;
+        player.events.emit('attackHit', { enemy });
+
+        if (!enemy.active) {
+            this._score(player, enemy, COMBAT.attackPoints, 0);
+        }
+    }
+
+    /**
+     * Award points and report defeated enemies
+     * @private
+     */
+    _score(player, enemy, points, combo) {
+        player.events.emit('enemyPoints', { enemy, points, combo });
+
+        this.popups.push({
+            x: enemy.x + enemy.width / 2,
+            y: enemy.y - 8,
+            text: combo > 1 ? `${points} x${combo}` : `${points}`,
+            life: COMBAT.popupTime
+        });
+
+        if (!enemy.active) {
+            player.events.emit('killEnemy', { enemy });
+        }
+    }
+
+    /**
+     * Move popups up and remove old ones
+     * @private
+     */
+    _updatePopups(deltaTime) {
+        this.popups.forEach(popup => {
+            popup.life -= deltaTime;
+            popup.y -= 0.05 * deltaTime;
+        });
+        this.popups = this.popups.filter(popup => popup.life > 0);
+    }
+
+    /**
+     * Get the horizontal direction pointing from one entity to another
+     * @returns {Number} - 1 for right, -1 for left
+     * @private
+     */
+    _directionAway(from, to) {
+        return from.x + from.width / 2 <= to.x + to.width / 2 ? 1 : -1;
+    }
+}
@@ -0,0 +1,740 @@
+/**
+ * In-browser level editor for the platformer game
+ *
+ * The editor works on level data in the level file format (see
+ * levelLoader.js) and rebuilds a Level from it after every change, so what
+ * you see is exactly what the game will load.
+ */
+
+/**
+ * Editable fields per entity kind, shown in the properties panel.
+ * Fields with `option: true` live in the entity's `options` object.
+ */
+const EDITOR_FIELDS = {
+    level: [
+        { key: 'id', type: 'text' },
+        { key: 'name', type: 'text' },
+        { key: 'width', type: 'number' },
+        { key: 'height', type: 'number' },
+        { key: 'backgroundColor', type: 'text' },
+        { key: 'music', type: 'text' }
+    ],
+    platforms: [
+        { key: 'x', type: 'number' },
+        { key: 'y', type: 'number' },
+        { key: 'width', type: 'number' },
+        { key: 'height', type: 'number' },
+        { key: 'jumpThrough', type: 'checkbox', option: true },
+        { key: 'moving', type: 'checkbox', option: true },
+        { key: 'moveX', type: 'number', option: true },
+        { key: 'moveY', type: 'number', option: true },
+        { key: 'moveSpeed', type: 'number', option: true },
+        { key: 'crush', type: 'select', values: CRUSH_RULES, option: true },
+        { key: 'crumble', type: 'checkbox', option: true },
+        { key: 'crumbleTime', type: 'number', option: true },
+        { key: 'respawnTime', type: 'number', option: true },
+        { key: 'invisible', type: 'checkbox', option: true }
+    ],
+    slopes: [
+        { key: 'x', type: 'number' },
+        { key: 'y', type: 'number' },
+        { key: 'width', type: 'number' },
+        { key: 'height', type: 'number' },
+        { key: 'rises', type: 'select', values: ['right', 'left'], option: true },
+        { key: 'jumpThrough', type: 'checkbox', option: true }
+    ],
+    collectibles: [
+        { key: 'x', type: 'number' },
+        { key: 'y', type: 'number' },
+        { key: 'type', type: 'select', values: ['coin', 'gem', 'health'].concat(Object.keys(POWER_UPS)) },
+        { key: 'value', type: 'number' },
+        { key: 'duration', type: 'number' }
+    ],
+    enemies: [
+        { key: 'x', type: 'number' },
+        { key: 'y', type: 'number' },
+        { key: 'type', type: 'select', values: ['patrol', 'jumper', 'walker', 'chaser', 'bat', 'turret', 'boss'] },
+        { key: 'patrolDistance', type: 'number', option: true },
+        { key: 'width', type: 'number', option: true },
+        { key: 'height', type: 'number', option: true },
+        { key: 'stomp', type: 'select', values: STOMP_RULES, option: true },
+        { key: 'detectionRange', type: 'number', option: true },
+        { key: 'speed', type: 'number', option: true },
+        { key: 'amplitude', type: 'number', option: true },
+        { key: 'fireRate', type: 'number', option: true },
+        { key: 'aim', type: 'select', values: ['fixed', 'player'], option: true },
+        { key: 'angle', type: 'number', option: true },
+        { key: 'range', type: 'number', option: true },
+        { key: 'projectileSpeed', type: 'number', option: true },
+        { key: 'projectileGravity', type: 'number', option: true },
+        { key: 'name', type: 'text', option: true },
+        { key: 'health', type: 'number', option: true },
+        { key: 'arenaX', type: 'number', option: true },
+        { key: 'arenaY', type: 'number', option: true },
+        { key: 'arenaWidth', type: 'number', option: true },
+        { key: 'arenaHeight', type: 'number', option: true },
+        { key: 'completesLevel', type: 'checkbox', option: true }
+    ],
+    hazards: [
+        { key: 'x', type: 'number' },
+        { key: 'y', type: 'number' },
+        { key: 'width', type: 'number' },
+        { key: 'height', type: 'number' },
+        { key: 'damage', type: 'number' }
+    ],
+    checkpoints: [
+        { key: 'x', type: 'number' },
+        { key: 'y', type: 'number' }
+    ],
+    cameraRegions: [
+        { key: 'x', type: 'number' },
+        { key: 'y', type: 'number' },
+        { key: 'width', type: 'number' },
+        { key: 'height', type: 'number' },
+        { key: 'mode', type: 'select', values: CAMERA_REGION_MODES },
+        { key: 'zoom', type: 'number' }
+    ],
+    spawnPoint: [
+        { key: 'x', type: 'number' },
+        { key: 'y', type: 'number' }
+    ],
+    exitPoint: [
+        { key: 'x', type: 'number' },
+        { key: 'y', type: 'number' }
+    ]
+};
+
+/**
+ * Templates for entities created by the placement tools
+ */
+const EDITOR_TOOLS = {
+    platform: { kind: 'platforms', create: (x, y) => ({ x, y, width: 100, height: 20 }) },
+    ramp45: { kind: 'slopes', create: (x, y) => ({ x, y, width: 100, height: 100 }) },
+    ramp22: { kind: 'slopes', create: (x, y) => ({ x, y, width: 120, height: 50 }) },
+    coin: { kind: 'collectibles', create: (x, y) => ({ x, y, type: 'coin', value: 10 }) },
+    gem: { kind: 'collectibles', create: (x, y) => ({ x, y, type: 'gem', value: 50 }) },
+    powerUp: { kind: 'collectibles', create: (x, y) => ({ x, y, type: 'doubleJump' }) },
+    hazard: { kind: 'hazards', create: (x, y) => ({ x, y, width: 50, height: 20, damage: 1 }) },
+    checkpoint: { kind: 'checkpoints', create: (x, y) => ({ x, y }) },
+    cameraRegion: { kind: 'cameraRegions', create: (x, y) => ({ x, y, width: 800, height: 450, mode: 'limit' }) },
+    patrol: { kind: 'enemies', create: (x, y) => ({ type: 'patrol', x, y, options: { patrolDistance: 100 } }) },
+    jumper: { kind: 'enemies', create: (x, y) => ({ type: 'jumper', x, y }) },
+    walker: { kind: 'enemies', create: (x, y) => ({ type: 'walker', x, y }) },
+    chaser: { kind: 'enemies', create: (x, y) => ({ type: 'chaser', x, y }) },
+    bat: { kind: 'enemies', create: (x, y) => ({ type: 'bat', x, y }) },
+    turret: { kind: 'enemies', create: (x, y) => ({ type: 'turret', x, y, options: { aim: 'player' } }) },
+    boss: { kind: 'enemies', create: (x, y) => ({ type: 'boss', x, y, options: { health: 12 } }) },
+    spawn: { kind: 'spawnPoint' },
+    exit: { kind: 'exitPoint' }
+};
+
+/**
+ * Level editor class
+ */
+class LevelEditor {
+    constructor(game) {
+        this.game = game;
+        this.canvas = game.canvas;
+
+        // Level being edited
+        this.data = null;
+        this.level = null;
+
+        // Editor state
+        this.active = false;
+        this.testing = false;
+        this.tool = 'select';
+        this.selection = null;     // { kind, index }
+        this.dragMode = null;      // 'move' or 'resize'
+        this.dragStart = null;
+        this.gridSize = 10;
+        this.handleSize = 8;
+        this.panSpeed = 8;
+        this.camera = { x: 0, y: 0 };
+        this.keys = {
+            left: false,
+            right: false,
+            up: false,
+            down: false
+        };
+
+        this._setupInputHandlers();
+        this._setupPanel();
+    }
+
+    /**
+     * Open the editor on a copy of the given level data
+     * @param {Object} levelData - Level data in the level file format
+     */
+    open(levelData) {
+        this.data = JSON.parse(JSON.stringify(levelData));
+        ['platforms', 'slopes', 'collectibles', 'enemies', 'hazards', 'checkpoints', 'cameraRegions'].forEach(kind => {
+            this.data[kind] = this.data[kind] || [];
+        });
+        this.active = true;
+        this.testing = false;
+        this.selection = null;
+        this.camera.x = Math.max(0, this.data.spawnPoint.x - this.canvas.width / 2);
+        this.camera.y = Math.max(0, this.data.spawnPoint.y - this.canvas.height / 2);
+
+        this._rebuild();
+        this._renderProperties();
+        this._setStatus('');
+    }
+
+    /**
+     * Close the editor
+     */
+    close() {
+        this.active = false;
+        this.testing = false;
+        this.selection = null;
+    }
+
+    /**
+     * Play-test the edited level from the current spawn point
+     * @returns {Boolean} - True if the level was valid and the test started
+     */
+    startTest() {
+        let level;
+
+        try {
+            level = LevelLoader.fromData(JSON.parse(JSON.stringify(this.data)));
+        } catch (error) {
+            this._setStatus(error.message, true);
+            return false;
+        }
+
+        level.setPhysics(this.game.physics);
+        level.savePreviousPositions();
+        this.level = level;
+        this.testing = true;
+        return true;
+    }
+
+    /**
+     * Stop play-testing and go back to editing
+     */
+    stopTest() {
+        this.testing = false;
+        this._rebuild();
+    }
+
+    /**
+     * Toggle between editing and play-testing
+     */
+    toggleTest() {
+        if (this.testing) {
+            this.game.openEditor();
+        } else {
+            this.game.playTestEditorLevel();
+        }
+    }
+
+    /**
+     * Update editor state (camera panning)
+     * @param {Number} deltaTime - Time since last frame in milliseconds
+     */
+    update(deltaTime) {
+        const distance = this.panSpeed * (deltaTime / 16.67);
+
+        if (this.keys.left) this.camera.x -= distance;
+        if (this.keys.right) this.camera.x += distance;
+        if (this.keys.up) this.camera.y -= distance;
+        if (this.keys.down) this.camera.y += distance;
+
+        this.camera.x = Math.max(-100, Math.min(this.camera.x, this.data.width - this.canvas.width + 100));
+        this.camera.y = Math.max(-100, Math.min(this.camera.y, this.data.height - this.canvas.height + 100));
+    }
+
+    /**
+     * Draw the level being edited with editor overlays
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    draw(ctx) {
+        const offsetX = this.camera.x;
+        const offsetY = this.camera.y;
+
+        this.level.draw(ctx, offsetX, offsetY);
+
+        ctx.save();
+
+        // Grid
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+        ctx.lineWidth = 1;
+        const step = this.gridSize * 5;
+        for (let x = Math.floor(offsetX / step) * step; x < offsetX + this.canvas.width; x += step) {
+            ctx.beginPath();
+            ctx.moveTo(x - offsetX, 0);
+            ctx.lineTo(x - offsetX, this.canvas.height);
+            ctx.stroke();
+        }
+        for (let y = Math.floor(offsetY / step) * step; y < offsetY + this.canvas.height; y += step) {
+            ctx.beginPath();
+            ctx.moveTo(0, y - offsetY);
+            ctx.lineTo(this.canvas.width, y - offsetY);
+            ctx.stroke();
+        }
+
+        // Level bounds
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.setLineDash([6, 4]);
+        ctx.strokeRect(-offsetX, -offsetY, this.data.width, this.data.height);
+        ctx.setLineDash([]);
+
+        // Spawn point preview
+        const spawn = this._getRect('spawnPoint');
+        ctx.globalAlpha = 0.6;
+        ctx.fillStyle = '#4a90e2';
+        ctx.fillRect(spawn.x - offsetX, spawn.y - offsetY, spawn.width, spawn.height);
+        ctx.globalAlpha = 1;
+
+        // Camera regions
+        ctx.strokeStyle = 'rgba(156, 39, 176, 0.8)';
+        ctx.setLineDash([12, 6]);
+        this.level.cameraRegions.forEach(region => {
+            ctx.strokeRect(region.x - offsetX, region.y - offsetY, region.width, region.height);
+        });
+        ctx.setLineDash([]);
+
+        // Moving platform paths
+        ctx.strokeStyle = 'rgba(33, 150, 243, 0.8)';
+        this.level.platforms.forEach(platform => {
+            if (platform.moving) {
+                ctx.strokeRect(
+                    platform.x - offsetX,
+                    platform.y - offsetY,
+                    platform.width + platform.moveX,
+                    platform.height + platform.moveY
+                );
+            }
+        });
+
+        // Selection outline and resize handle
+        if (this.selection) {
+            const rect = this._getRect(this.selection.kind, this.selection.index);
+            ctx.strokeStyle = '#FFEB3B';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(rect.x - offsetX, rect.y - offsetY, rect.width, rect.height);
+
+            if (this._isResizable(this.selection.kind)) {
+                ctx.fillStyle = '#FFEB3B';
+                ctx.fillRect(
+                    rect.x + rect.width - this.handleSize - offsetX,
+                    rect.y + rect.height - this.handleSize - offsetY,
+                    this.handleSize,
+                    this.handleSize
+                );
+            }
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Delete the selected entity
+     */
+    deleteSelection() {
+        if (!this.selection) return;
+
+        const { kind, index } = this.selection;
+
+        // Spawn and exit points are required, so they can only be moved
+        if (index === undefined) return;
+
+        this.data[kind].splice(index, 1);
+        this.selection = null;
+        this._rebuild();
+        this._renderProperties();
+    }
+
+    /**
+     * Rebuild the preview level from the edited data
+     * @private
+     */
+    _rebuild() {
+        this.level = new Level(this.data);
+    }
+
+    /**
+     * Get the bounding rectangle of an entity in the edited level
+     * @private
+     */
+    _getRect(kind, index) {
+        switch (kind) {
+            case 'spawnPoint':
+                return {
+                    x: this.data.spawnPoint.x,
+                    y: this.data.spawnPoint.y,
+                    width: this.game.player.width,
+                    height: this.game.player.height
+                };
+            case 'exitPoint':
+                return { x: this.data.exitPoint.x - 20, y: this.data.exitPoint.y - 30, width: 40, height: 60 };
+            default: {
+                // Level objects are created from data in the same order
+                const entity = this.level[kind][index];
+                return { x: entity.x, y: entity.y, width: entity.width, height: entity.height };
+            }
+        }
+    }
+
+    /**
+     * Get the data object for the selection
+     * @private
+     */
+    _getSelectedData() {
+        if (!this.selection) return this.data;
+
+        const { kind, index } = this.selection;
+        return index === undefined ? this.data[kind] : this.data[kind][index];
+    }
+
+    /**
+     * Check whether an entity kind can be resized
+     * @private
+     */
+    _isResizable(kind) {
+        return kind === 'platforms' || kind === 'slopes' || kind === 'hazards' || kind === 'cameraRegions';
+    }
+
+    /**
+     * Find the topmost entity at a world position
+     * @private
+     */
+    _hitTest(x, y) {
+        const point = { x, y, width: 1, height: 1 };
+
+        for (const kind of ['spawnPoint', 'exitPoint']) {
+            if (Utils.checkCollision(point, this._getRect(kind))) {
+                return { kind };
+            }
+        }
+
+        // Same order as Level.draw, topmost first, then the camera regions
+        // behind everything
+        for (const kind of ['checkpoints', 'hazards', 'enemies', 'slopes', 'platforms', 'collectibles', 'cameraRegions']) {
+            for (let index = this.data[kind].length - 1; index >= 0; index--) {
+                if (Utils.checkCollision(point, this._getRect(kind, index))) {
+                    return { kind, index };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Snap a value to the editor grid
+     * @private
+     */
+    _snap(value) {
+        return Math.round(value / this.gridSize) * this.gridSize;
+    }
+
+    /**
+     * Convert a mouse event to world coordinates
+     * @private
+     */
+    _getWorldPosition(e) {
+        const bounds = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - bounds.left) * (this.canvas.width / bounds.width) + this.camera.x,
+            y: (e.clientY - bounds.top) * (this.canvas.height / bounds.height) + this.camera.y
+        };
+    }
+
+    /**
+     * Handle mouse press on the canvas: place, select, move or resize
+     * @private
+     */
+    _onMouseDown(e) {
+        if (!this.active || this.testing) return;
+
+        const position = this._getWorldPosition(e);
+        const x = this._snap(position.x);
+        const y = this._snap(position.y);
+
+        // Placement tools
+        if (this.tool !== 'select') {
+            const tool = EDITOR_TOOLS[this.tool];
+
+            if (tool.create) {
+                this.data[tool.kind].push(tool.create(x, y));
+                this.selection = { kind: tool.kind, index: this.data[tool.kind].length - 1 };
+            } else {
+                this.data[tool.kind] = { x, y };
+                this.selection = { kind: tool.kind };
+            }
+
+            this._rebuild();
+            this._renderProperties();
+            return;
+        }
+
+        // Selection tool
+        this.selection = this._hitTest(position.x, position.y);
+        this._renderProperties();
+
+        if (!this.selection) return;
+
+        const rect = this._getRect(this.selection.kind, this.selection.index);
+        const item = this._getSelectedData();
+        const onHandle = this._isResizable(this.selection.kind) &&
+            position.x >= rect.x + rect.width - this.handleSize &&
+            position.y >= rect.y + rect.height - this.handleSize;
+
+        this.dragMode = onHandle ? 'resize' : 'move';
+        this.dragStart = {
+            mouseX: position.x,
+            mouseY: position.y,
+            x: item.x,
+            y: item.y,
+            width: item.width,
+            height: item.height
+        };
+    }
+
+    /**
+     * Handle mouse movement while dragging
+     * @private
+     */
+    _onMouseMove(e) {
+        if (!this.dragMode || !this.selection) return;
+
+        const position = this._getWorldPosition(e);
+        const dx = position.x - this.dragStart.mouseX;
+        const dy = position.y - this.dragStart.mouseY;
+        const item = this._getSelectedData();
+
+        if (this.dragMode === 'move') {
+            item.x = this._snap(this.dragStart.x + dx);
+            item.y = this._snap(this.dragStart.y + dy);
+        } else {
+            item.width = Math.max(this.gridSize, this._snap(this.dragStart.width + dx));
+            item.height = Math.max(this.gridSize, this._snap(this.dragStart.height + dy));
+        }
+
+        this._rebuild();
+    }
+
+    /**
+     * Finish dragging
+     * @private
+     */
+    _onMouseUp() {
+        if (!this.dragMode) return;
+
+        this.dragMode = null;
+        this._renderProperties();
+    }
+
+    /**
+     * Setup mouse and keyboard handlers
+     * @private
+     */
+    _setupInputHandlers() {
+        this.canvas.addEventListener('mousedown', (e) => this._onMouseDown(e));
+        window.addEventListener('mousemove', (e) => this._onMouseMove(e));
+        window.addEventListener('mouseup', () => this._onMouseUp());
+
+        const panKeys = {
+            ArrowLeft: 'left',
+            ArrowRight: 'right',
+            ArrowUp: 'up',
+            ArrowDown: 'down'
+        };
+
+        window.addEventListener('keydown', (e) => {
+            if (!this.active || this.testing) return;
+
+            // Leave typing and picking in the properties panel alone, e.g.
+            // Backspace in a field or the arrow keys in a type list
+            const target = e.target;
+            if (target && (target.isContentEditable || (target.closest && target.closest('input, textarea, select')))) return;
+
+            if (panKeys[e.key]) {
+                this.keys[panKeys[e.key]] = true;
+                e.preventDefault();
+            } else if (e.key === 'Delete' || e.key === 'Backspace') {
+                this.deleteSelection();
+            }
+        });
+
+        window.addEventListener('keyup', (e) => {
+            if (panKeys[e.key]) {
+                this.keys[panKeys[e.key]] = false;
+            }
+        });
+    }
+
+    /**
+     * Setup the editor panel buttons
+     * @private
+     */
+    _setupPanel() {
+        document.querySelectorAll('#editor-tools button').forEach(button => {
+            button.addEventListener('click', () => {
+                this.tool = button.dataset.tool;
+                document.querySelectorAll('#editor-tools button').forEach(other => {
+                    other.classList.toggle('active', other === button);
+                });
+            });
+        });
+
+        document.getElementById('editor-test-button').addEventListener('click', () => {
+            this.toggleTest();
+        });
+
+        document.getElementById('editor-export-button').addEventListener('click', () => {
+            this._export();
+        });
+
+        document.getElementById('editor-import-input').addEventListener('change', (e) => {
+            this._import(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        document.getElementById('editor-close-button').addEventListener('click', () => {
+            this.game.closeEditor();
+        });
+    }
+
+    /**
+     * Build the properties form for the selected entity (or the level)
+     * @private
+     */
+    _renderProperties() {
+        const container = document.getElementById('editor-properties');
+        const kind = this.selection ? this.selection.kind : 'level';
+        const item = this._getSelectedData();
+
+        container.innerHTML = '';
+
+        const heading = document.createElement('h3');
+        heading.textContent = kind === 'level' ? 'Level' : kind;
+        container.appendChild(heading);
+
+        EDITOR_FIELDS[kind].forEach(field => {
+            const source = field.option ? (item.options || {}) : item;
+            const label = document.createElement('label');
+            label.textContent = field.key;
+
+            let input;
+            if (field.type === 'select') {
+                input = document.createElement('select');
+                field.values.forEach(value => {
+                    const option = document.createElement('option');
+                    option.value = value;
+                    option.textContent = value;
+                    input.appendChild(option);
+                });
+                input.value = source[field.key];
+            } else {
+                input = document.createElement('input');
+                input.type = field.type;
+                if (field.type === 'checkbox') {
+                    input.checked = Boolean(source[field.key]);
+                } else {
+                    input.value = source[field.key] !== undefined ? source[field.key] : '';
+                }
+            }
+
+            input.addEventListener('change', () => this._applyField(item, field, input));
+
+            label.appendChild(input);
+            container.appendChild(label);
+        });
+    }
+
+    /**
+     * Apply a properties panel change to the edited data
+     * @private
+     */
+    _applyField(item, field, input) {
+        let value;
+
+        if (field.type === 'checkbox') {
+            value = input.checked || undefined;
+        } else if (field.type === 'number') {
+            value = input.value === '' ? undefined : Number(input.value);
+        } else {
+            value = input.value === '' ? undefined : input.value;
+        }
+
+        const target = field.option ? (item.options = item.options || {}) : item;
+        const previous = target[field.key];
+
+        if (value === undefined) {
+            delete target[field.key];
+        } else {
+            target[field.key] = value;
+        }
+
+        // Keep the data tidy so exported files stay minimal
+        if (field.option && Object.keys(item.options).length === 0) {
+            delete item.options;
+        }
+
+        try {
+            LevelLoader.validate(this.data);
+            this._setStatus('');
+        } catch (error) {
+            this._setStatus(error.message, true);
+
+            // Undo the change so the preview always matches valid data
+            if (previous === undefined) {
+                delete target[field.key];
+            } else {
+                target[field.key] = previous;
+            }
+            return;
+        }
+
+        this._rebuild();
+    }
+
+    /**
+     * Download the edited level as a JSON file
+     * @private
+     */
+    _export() {
+        try {
+            LevelLoader.validate(this.data);
+        } catch (error) {
+            this._setStatus(error.message, true);
+            return;
+        }
+
+        const filename = `${this.data.id}.json`;
+        Utils.downloadJSON(this.data, filename);
+
+        this._setStatus(`Exported ${filename}`);
+    }
+
+    /**
+     * Load a level file chosen by the user
+     * @private
+     */
+    _import(file) {
+        if (!file) return;
+
+        file.text().then(text => {
+            const level = LevelLoader.parse(text);
+            this.open(level.levelData);
+            this._setStatus(`Loaded ${file.name}`);
+        }).catch(error => {
+            this._setStatus(error.message, true);
+        });
+    }
+
+    /**
+     * Show a message in the editor panel
+     * @private
+     */
+    _setStatus(message, isError = false) {
+        const status = document.getElementById('editor-status');
+        status.textContent = message;
+        status.classList.toggle('error', isError);
+    }
+}
@@ -18,10 +18,24 @@ class Enemy {
         this.damage = 1;
         this.color = color;
         this.onGround = false;
+        this.carrier = null;    // Moving platform carrying the enemy, set by the physics
         this.active = true;
         this.facingRight = true;
         
-        // Animation
+        // Enemies that move themselves (e.g. flying ones) turn this off
+        // so the level doesn't apply gravity and platform collisions
+        this.usesPhysics = true;
+        
+        // Combat (see combat.js)
+        this.hitbox = null;               // Part that hurts the player, relative to x/y (null = whole AABB)
+        this.hurtbox = null;              // Part the player can hit, relative to x/y (null = whole AABB)
+        this.stompRule = 'damage';        // What happens when the player lands on top: damage, bounce or hurt
+        this.invulnerableTimer = 0;
+        this.invulnerableDuration = 300;  // ms of i-frames after being hit
+        
+        // Animation: subclasses play their clip of the enemy sprite sheet,
+        // and the frame counter drives the placeholder shapes
+        this.animator = new Animator('enemies');
         this.frame = 0;
         this.frameTime = 0;
         this.frameDuration = 150;  // ms per frame
@@ -31,11 +45,17 @@ class Enemy {
      * Update enemy state
      * @param {Number} deltaTime - Time since last frame in milliseconds
      * @param {Object} player - Player object for AI targeting
+     * @param {Level} level - Level the enemy is in (platforms, projectiles)
      */
-    update(deltaTime, player) {
+    update(deltaTime, player, level) {
         // Base update logic - to be overridden by specific enemy types
         
+        if (this.invulnerableTimer > 0) {
+            this.invulnerableTimer -= deltaTime;
+        }
+        
         // Update animation frame
+        this.animator.update(deltaTime);
         this.frameTime += deltaTime;
         if (this.frameTime >= this.frameDuration) {
             this.frame = (this.frame + 1) % 4; // Assuming 4 frames per animation
@@ -53,49 +73,103 @@ class Enemy {
         if (!this.active) return;
         
         ctx.save();
-        ctx.fillStyle = this.color;
-        ctx.fillRect(this.x - offsetX, this.y - offsetY, this.width, this.height);
         
-        // Draw a small indicator for direction
-        if (this.facingRight) {
-            ctx.fillStyle = 'black';
-            ctx.fillRect(this.x - offsetX + this.width - 8, this.y - offsetY + 8, 6, 6);
-        } else {
-            ctx.fillStyle = 'black';
-            ctx.fillRect(this.x - offsetX + 2, this.y - offsetY + 8, 6, 6);
+        // Flash while in i-frames
+        if (this.isStunned() && Math.floor(this.invulnerableTimer / 60) % 2) {
+            ctx.globalAlpha = 0.5;
+        }
+        
+        if (!this.animator.draw(ctx, this, offsetX, offsetY, !this.facingRight)) {
+            ctx.fillStyle = this.color;
+            ctx.fillRect(this.x - offsetX, this.y - offsetY, this.width, this.height);
+            
+            // Draw a small indicator for direction
+            if (this.facingRight) {
+                ctx.fillStyle = 'black';
+                ctx.fillRect(this.x - offsetX + this.width - 8, this.y - offsetY + 8, 6, 6);
+            } else {
+                ctx.fillStyle = 'black';
+                ctx.fillRect(this.x - offsetX + 2, this.y - offsetY + 8, 6, 6);
+            }
         }
         
         ctx.restore();
     }
     
     /**
-     * Check for collision with player
-     * @param {Object} player - Player object
-     * @returns {Boolean} - True if collision detected
+     * Draw spikes on top of enemies that can't be stomped
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Number} offsetX - Camera X offset
+     * @param {Number} offsetY - Camera Y offset
      */
-    checkPlayerCollision(player) {
-        if (!this.active) return false;
+    drawSpikes(ctx, offsetX = 0, offsetY = 0) {
+        if (!this.active || this.stompRule !== 'hurt') return;
+        
+        const count = Math.max(2, Math.floor(this.width / 10));
+        const spikeWidth = this.width / count;
         
-        return Utils.checkCollision(this, player);
+        ctx.save();
+        ctx.fillStyle = '#bdc3c7';
+        ctx.beginPath();
+        for (let i = 0; i < count; i++) {
+            const x = this.x - offsetX + i * spikeWidth;
+            ctx.moveTo(x, this.y - offsetY);
+            ctx.lineTo(x + spikeWidth / 2, this.y - offsetY - 8);
+            ctx.lineTo(x + spikeWidth, this.y - offsetY);
+        }
+        ctx.fill();
+        ctx.restore();
+    }
+    
+    /**
+     * Check whether the enemy is reeling from a hit (in i-frames)
+     * @returns {Boolean} - True while it can't be hurt again
+     */
+    isStunned() {
+        return this.invulnerableTimer > 0;
+    }
+    
+    /**
+     * Check that no solid platform is between the enemy and a point
+     * @param {Number} x - Target X
+     * @param {Number} y - Target Y
+     * @param {Array} platforms - Level platforms
+     * @returns {Boolean} - True if the line of sight is clear
+     */
+    canSee(x, y, platforms) {
+        const originX = this.x + this.width / 2;
+        const originY = this.y + this.height / 2;
+        
+        return !platforms.some(platform =>
+            platform.active !== false &&
+            !platform.jumpThrough &&
+            !platform.invisible &&
+            Utils.lineIntersectsRect(originX, originY, x, y, platform)
+        );
     }
     
     /**
      * Handle enemy taking damage
      * @param {Number} amount - Amount of damage to take
-     * @param {Number} knockbackX - Horizontal knockback
+     * @param {Number} knockbackX - Horizontal knockback (positive pushes right)
      * @param {Number} knockbackY - Vertical knockback
+     * @returns {Boolean} - True if the hit landed, false during i-frames
      */
     takeDamage(amount = 1, knockbackX = 0, knockbackY = -3) {
+        if (this.isStunned()) return false;
+        
         this.health -= amount;
+        this.invulnerableTimer = this.invulnerableDuration;
         
         // Apply knockback
-        this.vx += knockbackX * (this.facingRight ? -1 : 1);
+        this.vx = knockbackX;
         this.vy = knockbackY;
         
         // Check for death
         if (this.health <= 0) {
             this.die();
         }
+        return true;
     }
     
     /**
@@ -115,6 +189,7 @@ class Enemy {
         this.vy = 0;
         this.active = true;
         this.health = 1; // Reset to default health
+        this.invulnerableTimer = 0;
     }
 }
 
@@ -124,6 +199,7 @@ class Enemy {
 class PatrolEnemy extends Enemy {
     constructor(x, y, width = 32, height = 32, patrolDistance = 100) {
         super(x, y, width, height, '#e74c3c');
+        this.animator.play('patrol');
         
         this.startX = x;
         this.patrolDistance = patrolDistance;
@@ -134,7 +210,8 @@ class PatrolEnemy extends Enemy {
     update(deltaTime, player) {
         super.update(deltaTime, player);
         
-        if (!this.active) return;
+        // Knocked back enemies don't steer until they recover
+        if (!this.active || this.isStunned()) return;
         
         // Patrol logic - move back and forth
         if (this.movingRight) {
@@ -165,6 +242,7 @@ class PatrolEnemy extends Enemy {
 class JumperEnemy extends Enemy {
     constructor(x, y, width = 32, height = 40) {
         super(x, y, width, height, '#9b59b6');
+        this.animator.play('jumper');
         
         this.jumpForce = -9;
         this.jumpCooldown = 2000;  // ms between jumps
@@ -175,7 +253,7 @@ class JumperEnemy extends Enemy {
     update(deltaTime, player) {
         super.update(deltaTime, player);
         
-        if (!this.active) return;
+        if (!this.active || this.isStunned()) return;
         
         // Jump when player is in range and cooldown is over
         this.jumpTimer -= deltaTime;
@@ -203,16 +281,579 @@ class JumperEnemy extends Enemy {
     }
 }
 
+/**
+ * Enemy AI states, used by enemies built on AIEnemy
+ * - idle:   standing still for a moment, then patrolling
+ * - patrol: moving around its home position
+ * - alert:  spotted the player and pauses before giving chase
+ * - chase:  following the player
+ * - return: lost the player and heads back home
+ */
+const ENEMY_AI_STATES = ['idle', 'patrol', 'alert', 'chase', 'return'];
+
+/**
+ * AIEnemy - Base class for enemies driven by the AI state machine
+ *
+ * Subclasses decide how to move by overriding stop(), patrol() and
+ * moveTowards(); the state machine decides when.
+ */
+class AIEnemy extends Enemy {
+    /**
+     * @param {Number} x - X position
+     * @param {Number} y - Y position
+     * @param {Number} width - Width
+     * @param {Number} height - Height
+     * @param {String} color - Fill color
+     * @param {Object} options - {patrolDistance, detectionRange, speed}
+     */
+    constructor(x, y, width, height, color, options = {}) {
+        super(x, y, width, height, color);
+        
+        this.homeX = x;
+        this.homeY = y;
+        this.patrolDistance = options.patrolDistance !== undefined ? options.patrolDistance : 100;
+        this.speed = options.speed || 1.5;
+        this.chaseSpeed = this.speed * 1.6;
+        
+        // Detection
+        this.detectionRange = options.detectionRange || 200;
+        this.loseRange = this.detectionRange * 1.5;   // Gives up the chase beyond this distance
+        this.loseTime = 1500;                         // ms out of sight before giving up
+        
+        // State timing
+        this.idleTime = 800;
+        this.alertTime = 400;
+        
+        this.state = 'idle';
+        this.stateTime = 0;
+        this.lastSeenTime = 0;                        // ms since the player was last seen
+    }
+    
+    update(deltaTime, player, level) {
+        super.update(deltaTime, player, level);
+        
+        if (!this.active || this.isStunned()) return;
+        
+        this.stateTime += deltaTime;
+        
+        const targetX = player.x + player.width / 2;
+        const targetY = player.y + player.height / 2;
+        const seesPlayer = this.canDetect(targetX, targetY, level.getPlatformsNear(this, this.detectionRange));
+        this.lastSeenTime = seesPlayer ? 0 : this.lastSeenTime + deltaTime;
+        
+        switch (this.state) {
+            case 'idle':
+                this.stop();
+                if (seesPlayer) {
+                    this.setState('alert');
+                } else if (this.stateTime >= this.idleTime && this.patrolDistance > 0) {
+                    this.setState('patrol');
+                }
+                break;
+                
+            case 'patrol':
+                this.patrol(deltaTime, level);
+                if (seesPlayer) {
+                    this.setState('alert');
+                }
+                break;
+                
+            case 'alert':
+                this.stop();
+                this.facingRight = targetX > this.x + this.width / 2;
+                if (this.stateTime >= this.alertTime) {
+                    this.setState(seesPlayer ? 'chase' : 'return');
+                }
+                break;
+                
+            case 'chase': {
+                const dx = targetX - (this.x + this.width / 2);
+                const dy = targetY - (this.y + this.height / 2);
+                
+                if (dx * dx + dy * dy > this.loseRange * this.loseRange || this.lastSeenTime > this.loseTime) {
+                    this.setState('return');
+                } else {
+                    this.moveTowards(targetX, targetY, this.chaseSpeed, level);
+                }
+                break;
+            }
+                
+            case 'return':
+                if (seesPlayer) {
+                    this.setState('alert');
+                } else if (this.moveTowards(this.homeX + this.width / 2, this.homeY + this.height / 2, this.speed, level)) {
+                    this.setState('idle');
+                }
+                break;
+        }
+    }
+    
+    draw(ctx, offsetX = 0, offsetY = 0) {
+        super.draw(ctx, offsetX, offsetY);
+        
+        if (this.active && this.state === 'alert') {
+            this._drawAlert(ctx, offsetX, offsetY);
+        }
+    }
+    
+    /**
+     * Switch AI state
+     * @param {String} state - One of ENEMY_AI_STATES
+     */
+    setState(state) {
+        if (!ENEMY_AI_STATES.includes(state)) {
+            throw new Error(`Unknown enemy AI state "${state}"`);
+        }
+        
+        this.state = state;
+        this.stateTime = 0;
+    }
+    
+    /**
+     * Check whether the enemy notices a point: in range and in sight
+     * @param {Number} x - Target X
+     * @param {Number} y - Target Y
+     * @param {Array} platforms - Level platforms
+     * @returns {Boolean} - True if detected
+     */
+    canDetect(x, y, platforms) {
+        const dx = x - (this.x + this.width / 2);
+        const dy = y - (this.y + this.height / 2);
+        
+        return dx * dx + dy * dy <= this.detectionRange * this.detectionRange && this.canSee(x, y, platforms);
+    }
+    
+    /**
+     * Stop moving
+     */
+    stop() {
+        this.vx = 0;
+    }
+    
+    /**
+     * Move around the home position (overridden by subclasses)
+     * @param {Number} deltaTime - Time since last frame in milliseconds
+     * @param {Level} level - Level the enemy is in
+     */
+    patrol(deltaTime, level) {
+        this.stop();
+    }
+    
+    /**
+     * Move the enemy's center towards a point (overridden by subclasses)
+     * @param {Number} x - Target X
+     * @param {Number} y - Target Y
+     * @param {Number} speed - Movement speed
+     * @param {Level} level - Level the enemy is in
+     * @returns {Boolean} - True once the enemy is there, or as close as it can get
+     */
+    moveTowards(x, y, speed, level) {
+        this.stop();
+        return true;
+    }
+    
+    reset(x = this.homeX, y = this.homeY) {
+        super.reset(x, y);
+        this.setState('idle');
+        this.lastSeenTime = 0;
+    }
+    
+    /**
+     * Draw an exclamation mark above the enemy
+     * @private
+     */
+    _drawAlert(ctx, offsetX, offsetY) {
+        ctx.save();
+        ctx.fillStyle = '#FFEB3B';
+        ctx.font = 'bold 20px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('!', this.x - offsetX + this.width / 2, this.y - offsetY - 6);
+        ctx.restore();
+    }
+}
+
+/**
+ * WalkerEnemy - Walks around its home and chases the player on foot,
+ * turning around at ledges and walls instead of walking off
+ */
+class WalkerEnemy extends AIEnemy {
+    /**
+     * @param {Number} x - X position
+     * @param {Number} y - Y position
+     * @param {Object} options - {width, height, patrolDistance, detectionRange, speed}
+     * @param {String} color - Fill color
+     */
+    constructor(x, y, options = {}, color = '#e67e22') {
+        super(x, y, options.width || 32, options.height || 32, color, options);
+        this.animator.play('walker');
+        
+        this.movingRight = true;
+    }
+    
+    patrol(deltaTime, level) {
+        if (this.x >= this.homeX + this.patrolDistance) {
+            this.movingRight = false;
+        } else if (this.x <= this.homeX) {
+            this.movingRight = true;
+        }
+        this.facingRight = this.movingRight;
+        
+        if (this.isBlocked(level.getPlatformsNear(this), level.getSlopesNear(this))) {
+            this.movingRight = !this.movingRight;
+            this.facingRight = this.movingRight;
+        }
+        
+        this.vx = this.movingRight ? this.speed : -this.speed;
+    }
+    
+    moveTowards(x, y, speed, level) {
+        const dx = x - (this.x + this.width / 2);
+        if (Math.abs(dx) <= speed) {
+            this.stop();
+            return true;
+        }
+        
+        this.facingRight = dx > 0;
+        
+        // Wait at the edge rather than fall off
+        if (this.isBlocked(level.getPlatformsNear(this), level.getSlopesNear(this))) {
+            this.stop();
+            return true;
+        }
+        
+        this.vx = this.facingRight ? speed : -speed;
+        return false;
+    }
+    
+    /**
+     * Check for a wall or a ledge in the direction the enemy faces
+     * @param {Array} platforms - Level platforms
+     * @param {Array} slopes - Level slopes
+     * @returns {Boolean} - True if the enemy can't walk on
+     */
+    isBlocked(platforms, slopes = []) {
+        if (!this.onGround) return false;
+        
+        return this.onWall === (this.facingRight ? 'right' : 'left') || this.isLedgeAhead(platforms, slopes);
+    }
+    
+    /**
+     * Check whether the ground ends just in front of the enemy
+     * @param {Array} platforms - Level platforms
+     * @param {Array} slopes - Level slopes
+     * @returns {Boolean} - True if there is nothing to stand on ahead
+     */
+    isLedgeAhead(platforms, slopes = []) {
+        const probe = {
+            x: this.facingRight ? this.x + this.width + 2 : this.x - 3,
+            y: this.y + this.height,
+            width: 1,
+            height: 8
+        };
+        
+        if (platforms.some(platform => platform.active !== false && Utils.checkCollision(probe, platform))) {
+            return false;
+        }
+        
+        // Slopes rise or fall by up to their gradient between the enemy's feet and the probe
+        return !slopes.some(slope => slope.containsX(probe.x) &&
+            Math.abs(slope.getSurfaceY(probe.x) - probe.y) <=
+                (this.width / 2 + 3) * Math.abs(slope.getGradient()) + probe.height);
+    }
+}
+
+/**
+ * ChaserEnemy - Runs after the player and jumps over walls and gaps
+ * to follow them across platforms
+ */
+class ChaserEnemy extends WalkerEnemy {
+    /**
+     * @param {Number} x - X position
+     * @param {Number} y - Y position
+     * @param {Object} options - {width, height, patrolDistance, detectionRange, speed}
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, Object.assign({ detectionRange: 300, speed: 1.8 }, options), '#c0392b');
+        this.animator.play('chaser');
+        
+        this.jumpForce = -10;
+        this.loseTime = 3000;
+    }
+    
+    moveTowards(x, y, speed, level) {
+        const dx = x - (this.x + this.width / 2);
+        if (Math.abs(dx) <= speed && y >= this.y) {
+            this.stop();
+            return true;
+        }
+        
+        this.facingRight = dx > 0;
+        this.vx = Math.abs(dx) <= speed ? 0 : (this.facingRight ? speed : -speed);
+        
+        // Jump over walls and gaps, and up to a target above
+        const targetAbove = y < this.y - this.height && Math.abs(dx) < 150;
+        if (this.isBlocked(level.getPlatformsNear(this), level.getSlopesNear(this)) || (this.onGround && targetAbove)) {
+            this.vy = this.jumpForce;
+            this.onGround = false;
+        }
+        
+        return false;
+    }
+}
+
+/**
+ * BatEnemy - Flies in a sine wave and swoops at the player.
+ * Bats ignore gravity and fly through platforms.
+ */
+class BatEnemy extends AIEnemy {
+    /**
+     * @param {Number} x - X position
+     * @param {Number} y - Y position
+     * @param {Object} options - {width, height, patrolDistance, detectionRange, speed, amplitude}
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options.width || 32, options.height || 20, '#34495e', Object.assign({ patrolDistance: 200 }, options));
+        this.animator.play('bat');
+        
+        this.usesPhysics = false;
+        this.amplitude = options.amplitude !== undefined ? options.amplitude : 30;  // Height of the wave
+        this.waveSpeed = 0.004;   // Radians per ms
+        this.wave = 0;
+        this.movingRight = true;
+        this.idleTime = 0;
+    }
+    
+    update(deltaTime, player, level) {
+        this.wave += this.waveSpeed * deltaTime;
+        
+        super.update(deltaTime, player, level);
+        
+        if (!this.active) return;
+        
+        // Bats move themselves, as the level applies no physics to them
+        const timeScale = deltaTime / 16.67;
+        this.x += this.vx * timeScale;
+        this.y += this.vy * timeScale;
+    }
+    
+    stop() {
+        // Hover in place
+        this.vx = 0;
+        this.vy = Math.cos(this.wave) * 0.5;
+    }
+    
+    patrol(deltaTime, level) {
+        if (this.x >= this.homeX + this.patrolDistance) {
+            this.movingRight = false;
+        } else if (this.x <= this.homeX) {
+            this.movingRight = true;
+        }
+        this.facingRight = this.movingRight;
+        
+        this.vx = this.movingRight ? this.speed : -this.speed;
+        this.vy = (this.homeY + Math.sin(this.wave) * this.amplitude - this.y) * 0.1;
+    }
+    
+    moveTowards(x, y, speed, level) {
+        const dx = x - (this.x + this.width / 2);
+        const dy = y - (this.y + this.height / 2);
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        
+        if (distance <= speed) {
+            this.vx = 0;
+            this.vy = 0;
+            return true;
+        }
+        
+        this.facingRight = dx > 0;
+        this.vx = dx / distance * speed;
+        this.vy = dy / distance * speed + Math.sin(this.wave);
+        return false;
+    }
+    
+    draw(ctx, offsetX = 0, offsetY = 0) {
+        if (!this.active) return;
+        
+        if (this.animator.draw(ctx, this, offsetX, offsetY, !this.facingRight)) {
+            if (this.state === 'alert') {
+                this._drawAlert(ctx, offsetX, offsetY);
+            }
+            return;
+        }
+        
+        const x = this.x - offsetX;
+        const y = this.y - offsetY;
+        const flap = this.frame % 2 === 0 ? -this.height / 2 : this.height / 2;
+        
+        ctx.save();
+        ctx.fillStyle = this.color;
+        
+        // Wings
+        ctx.beginPath();
+        ctx.moveTo(x + this.width / 2, y + this.height / 2);
+        ctx.lineTo(x - this.width / 4, y + this.height / 2 + flap);
+        ctx.lineTo(x + this.width / 4, y + this.height);
+        ctx.moveTo(x + this.width / 2, y + this.height / 2);
+        ctx.lineTo(x + this.width * 1.25, y + this.height / 2 + flap);
+        ctx.lineTo(x + this.width * 0.75, y + this.height);
+        ctx.fill();
+        
+        // Body and eye
+        ctx.fillRect(x + this.width / 4, y, this.width / 2, this.height);
+        ctx.fillStyle = this.state === 'chase' ? '#e74c3c' : 'white';
+        ctx.fillRect(x + (this.facingRight ? this.width / 2 : this.width / 4 + 2), y + 4, 4, 4);
+        
+        ctx.restore();
+        
+        if (this.state === 'alert') {
+            this._drawAlert(ctx, offsetX, offsetY);
+        }
+    }
+}
+
+/**
+ * TurretEnemy - Stays in place and fires projectiles
+ *
+ * Fixed turrets shoot in one direction on a timer while the player is in
+ * range. Aimed turrets shoot at the player, but only when no platform blocks
+ * the line of sight.
+ */
+class TurretEnemy extends Enemy {
+    /**
+     * @param {Number} x - X position
+     * @param {Number} y - Y position
+     * @param {Object} options - {width, height, fireRate, aim, angle, range, projectileSpeed, projectileGravity}
+     */
+    constructor(x, y, options = {}) {
+        super(x, y, options.width || 32, options.height || 32, '#607d8b');
+        this.animator.play('turret');
+        
+        this.fireRate = options.fireRate || 1500;          // ms between shots
+        this.aim = options.aim || 'fixed';                 // 'fixed' or 'player'
+        this.angle = (options.angle || 0) * Math.PI / 180; // Fixed direction, 0 = right, 90 = down
+        this.range = options.range || 400;
+        this.projectileSpeed = options.projectileSpeed || 4;
+        this.projectileGravity = options.projectileGravity || 0;
+        this.fireTimer = this.fireRate;
+        
+        // Direction of the barrel, in radians
+        this.barrelAngle = this.angle;
+        
+        // Turrets stay where they are placed, even on walls and ceilings
+        this.usesPhysics = false;
+    }
+    
+    update(deltaTime, player, level) {
+        super.update(deltaTime, player, level);
+        
+        if (!this.active) return;
+        
+        this.fireTimer -= deltaTime;
+        
+        const originX = this.x + this.width / 2;
+        const originY = this.y + this.height / 2;
+        const targetX = player.x + player.width / 2;
+        const targetY = player.y + player.height / 2;
+        const dx = targetX - originX;
+        const dy = targetY - originY;
+        
+        if (dx * dx + dy * dy > this.range * this.range) return;
+        
+        if (this.aim === 'player') {
+            if (!this.canSee(targetX, targetY, level.getPlatformsNear(this, this.range))) return;
+            this.barrelAngle = Math.atan2(dy, dx);
+            this.facingRight = dx > 0;
+        }
+        
+        if (this.fireTimer <= 0) {
+            this.fireTimer = this.fireRate;
+            this.fire(level.projectiles);
+        }
+    }
+    
+    /**
+     * Fire a projectile along the barrel
+     * @param {ProjectilePool} projectiles - Pool to fire from
+     */
+    fire(projectiles) {
+        const radius = Math.min(this.width, this.height) / 2;
+        
+        projectiles.spawn({
+            x: this.x + this.width / 2 + Math.cos(this.barrelAngle) * radius,
+            y: this.y + this.height / 2 + Math.sin(this.barrelAngle) * radius,
+            vx: Math.cos(this.barrelAngle) * this.projectileSpeed,
+            vy: Math.sin(this.barrelAngle) * this.projectileSpeed,
+            gravity: this.projectileGravity,
+            damage: this.damage,
+            owner: this
+        });
+    }
+    
+    draw(ctx, offsetX = 0, offsetY = 0) {
+        if (!this.active) return;
+        
+        const centerX = this.x - offsetX + this.width / 2;
+        const centerY = this.y - offsetY + this.height / 2;
+        
+        ctx.save();
+        
+        // Barrel
+        ctx.strokeStyle = '#37474f';
+        ctx.lineWidth = 8;
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY);
+        ctx.lineTo(
+            centerX + Math.cos(this.barrelAngle) * this.width * 0.8,
+            centerY + Math.sin(this.barrelAngle) * this.height * 0.8
+        );
+        ctx.stroke();
+        
+        // Base, lighting up just before a shot
+        if (!this.animator.draw(ctx, this, offsetX, offsetY)) {
+            ctx.fillStyle = this.fireTimer < 300 ? '#ff7043' : this.color;
+            ctx.fillRect(this.x - offsetX, this.y - offsetY, this.width, this.height);
+        }
+        
+        ctx.restore();
+    }
+}
+
 /**
  * Factory function for creating enemies
  */
 const createEnemy = (type, x, y, options = {}) => {
+    let enemy;
+    
     switch (type.toLowerCase()) {
         case 'patrol':
-            return new PatrolEnemy(x, y, options.width, options.height, options.patrolDistance);
+            enemy = new PatrolEnemy(x, y, options.width, options.height, options.patrolDistance);
+            break;
         case 'jumper':
-            return new JumperEnemy(x, y, options.width, options.height);
+            enemy = new JumperEnemy(x, y, options.width, options.height);
+            break;
+        case 'walker':
+            enemy = new WalkerEnemy(x, y, options);
+            break;
+        case 'chaser':
+            enemy = new ChaserEnemy(x, y, options);
+            break;
+        case 'bat':
+            enemy = new BatEnemy(x, y, options);
+            break;
+        case 'turret':
+            enemy = new TurretEnemy(x, y, options);
+            break;
+        case 'boss':
+            enemy = new Boss(x, y, options);
+            break;
         default:
-            return new PatrolEnemy(x, y); // Default to patrol enemy
+            enemy = new PatrolEnemy(x, y); // Default to patrol enemy
     }
+    
+    // Any enemy can be spiked, or made a safe platform to bounce off
+    if (options.stomp) {
+        enemy.stompRule = options.stomp;
+    }
+    
+    return enemy;
 }; 
\ No newline at end of file
@@ -11,43 +11,62 @@ class Game {
         this._resizeCanvas();
         
         // Game state
-        this.currentState = 'mainMenu'; // mainMenu, playing, gameOver, levelComplete
+        this.currentState = 'loading'; // loading, mainMenu, levelSelect, playing, gameOver, levelComplete, campaignComplete, editor
         this.paused = false;
         this.score = 0;
+        this.levelStartScore = 0;
+        this.levelTime = 0;
         this.currentLevelIndex = 0;
         this.levels = [];
+        this.campaign = null;
+        this.campaignFile = 'assets/levels/campaign.json';
         
         // Initialize game systems
+        this.clock = new GameClock();
+        this.input = new InputManager(this._getStorage());
+        this.input.attach();
+        this.gamepad = new GamepadInput(this.input, this._getStorage());
+        this.gamepad.attach();
         this.physics = new Physics();
         this.player = new Player(100, 400);
-        this.camera = {
-            x: 0,
-            y: 0,
-            width: this.canvas.width,
-            height: this.canvas.height
-        };
+        this.player.setClock(this.clock);
+        this.tuningPanel = new TuningPanel(document.getElementById('tuning-panel'), this.player, PLAYER_TUNING);
+        this.camera = new Camera(this.canvas);
+        
+        // Level editor
+        this.editor = new LevelEditor(this);
+        
+        // Save slots
+        this.saveManager = new SaveManager(this._getStorage());
+        this.saveSlot = this.saveManager.getLastSlot();
+        this.saveData = null;
+        
+        // Replays
+        this.recorder = new ReplayRecorder();
+        this.replay = null;       // ReplayPlayer while watching a replay
+        this.lastReplay = null;   // Most recent finished or failed run
+        this.timeScale = 1;       // Simulation speed (replay speed controls)
+        this.seeking = false;     // Re-simulating a replay to seek, with sound effects off
         
         // Game loop variables
         this.lastFrameTime = 0;
+        this.accumulator = 0;     // Unsimulated time carried between frames
+        this.maxFrameTime = 250;  // Longest frame simulated, to avoid a spiral of death after a hitch
         this.running = false;
         this.fpsCounter = {
             lastTime: 0,
             frames: 0,
             fps: 0
         };
+        this.powerUpText = '';    // Power-up HUD contents, to skip unchanged updates
         
-        // Audio
-        this.audio = {
-            jump: null,
-            collect: null,
-            hurt: null,
-            levelComplete: null,
-            bgMusic: null
-        };
+        // Audio, with positional sounds heard from the camera
+        this.audio = new AudioEngine(this._getStorage());
+        this.audio.attach();
+        this.audio.setListener(this.camera);
         
         // Load game assets and setup event handlers
         this._setupEventHandlers();
-        this._createLevels();
         
         // Create event emitter for game events
         this.events = Utils.createEventEmitter();
@@ -58,11 +77,13 @@ class Game {
      */
     async init() {
         try {
-            // Load assets
+            // Load the asset manifest, then the campaign's level files,
+            // showing progress on the loading screen
             await this._loadAssets();
+            await this._createLevels();
             
-            // Initialize player
-            await this.player.loadSprites();
+            // Restore progress from the last used save slot
+            this._loadSaveSlot(this.saveSlot);
             
             // Setup player event handlers
             this._setupPlayerEvents();
@@ -86,13 +107,6 @@ class Game {
         this.running = true;
         this.lastFrameTime = performance.now();
         
-        // Start background music
-        if (this.audio.bgMusic) {
-            this.audio.bgMusic.loop = true;
-            this.audio.bgMusic.volume = 0.5;
-            this.audio.bgMusic.play().catch(error => console.log('Audio playback prevented:', error));
-        }
-        
         requestAnimationFrame(this._gameLoop.bind(this));
     }
     
@@ -101,11 +115,7 @@ class Game {
      */
     pause() {
         this.paused = true;
-        
-        // Pause background music
-        if (this.audio.bgMusic) {
-            this.audio.bgMusic.pause();
-        }
+        this.audio.pause();
     }
     
     /**
@@ -113,25 +123,23 @@ class Game {
      */
     resume() {
         this.paused = false;
-        
-        // Resume background music
-        if (this.audio.bgMusic) {
-            this.audio.bgMusic.play().catch(error => console.log('Audio playback prevented:', error));
-        }
+        this.audio.resume();
     }
     
     /**
      * Reset the game to initial state
+     * @param {Number} levelIndex - Index of the level to start from
+     * @param {Number} score - Score to start with
      */
-    reset() {
-        this.score = 0;
-        this.currentLevelIndex = 0;
+    reset(levelIndex = 0, score = 0) {
+        this.score = score;
+        this.currentLevelIndex = levelIndex;
         
         // Reset levels
         this.levels.forEach(level => level.reset());
         
-        // Load first level
-        this._loadLevel(0);
+        // Load starting level
+        this._loadLevel(levelIndex);
         
         // Update UI
         this._updateUI();
@@ -139,27 +147,70 @@ class Game {
     
     /**
      * Start a new game
+     * @param {Number} levelIndex - Index of the level to start from
+     * @param {Number} score - Score to start with, e.g. a continued game's
      */
-    startGame() {
+    startGame(levelIndex = 0, score = 0) {
+        this.stopReplay();
         this.currentState = 'playing';
-        this.reset();
+        this.reset(levelIndex, score);
         this.start();
         
-        // Hide menu, show game UI
-        document.getElementById('main-menu').classList.add('hidden');
-        document.getElementById('controls-menu').classList.add('hidden');
-        document.getElementById('game-ui').classList.remove('hidden');
+        // Hide menus, show game UI
+        this._showScreen('game-ui');
+    }
+    
+    /**
+     * Continue from the saved level and checkpoint
+     */
+    continueGame() {
+        const resume = this.saveData && this.saveData.resume;
+        if (!resume) return;
+        
+        const levelIndex = Math.max(0, this.campaign.getLevelIndex(resume.levelId));
+        this.startGame(levelIndex, resume.levelStartScore);
+        
+        // Put the player back at the last checkpoint reached
+        if (resume.checkpoint) {
+            const level = this.levels[levelIndex];
+            level.restoreCheckpoint(resume.checkpoint.index, resume.checkpoint);
+            this.score = resume.checkpoint.score;
+            this.levelTime = resume.checkpoint.time;
+            
+            const spawnPos = level.getSpawnPosition();
+            this.player.reset(spawnPos.x, spawnPos.y);
+            this._resetCamera(spawnPos);
+            this._beginRun(resume.checkpoint);
+            
+            // Keep the checkpoint in the save for the next continue
+            this._writeSave(Object.assign({}, resume));
+        }
+        
+        this._updateUI();
     }
     
     /**
      * End current game
      */
     endGame() {
+        // Dying while play-testing goes back to the editor
+        if (this.editor.testing) {
+            this.openEditor();
+            return;
+        }
+        
+        if (this.replay) {
+            this._finishReplay();
+            return;
+        }
+        
+        // Keep the failed run for bug reports
+        this.lastReplay = this.recorder.finish({ score: this.score - this.levelStartScore, time: this.levelTime });
+        
         this.currentState = 'gameOver';
         
         // Show game over screen
-        document.getElementById('game-ui').classList.add('hidden');
-        document.getElementById('game-over').classList.remove('hidden');
+        this._showScreen('game-over');
         document.getElementById('final-score').textContent = this.score;
     }
     
@@ -167,132 +218,392 @@ class Game {
      * Complete current level
      */
     completeLevel() {
+        // Play-tested levels are not part of the campaign
+        if (this.editor.testing) {
+            this.openEditor();
+            return;
+        }
+        
+        if (this.replay) {
+            this._finishReplay();
+            return;
+        }
+        
+        const level = this.levels[this.currentLevelIndex];
+        const entry = this.campaign.levels[this.currentLevelIndex];
+        const levelScore = this.score - this.levelStartScore;
+        
+        // Record results for the level select screen
+        const progress = this.campaign.recordResult(entry.id, {
+            score: levelScore,
+            time: this.levelTime,
+            collectibles: level.collectedCount,
+            totalCollectibles: level.totalCollectibles
+        });
+        
+        // Keep the run, and store it as the best run on a new best time
+        this.lastReplay = this.recorder.finish({ score: levelScore, time: this.levelTime });
+        if (this.lastReplay && progress.bestTime === this.levelTime) {
+            this.saveData.replays[entry.id] = this.lastReplay;
+        }
+        
+        // Save progress; continuing resumes at the next level
+        const nextEntry = this.campaign.levels[this.currentLevelIndex + 1];
+        this._writeSave(nextEntry && this.campaign.isUnlocked(nextEntry.id) ? {
+            levelId: nextEntry.id,
+            levelStartScore: this.score,
+            score: this.score,
+            checkpoint: null
+        } : null);
+        
+        // Finishing the last level completes the campaign, unless levels
+        // skipped on the way are still left to finish
+        if (this.currentLevelIndex === this.levels.length - 1 && this.campaign.isComplete()) {
+            this.completeCampaign();
+            return;
+        }
+        
         this.currentState = 'levelComplete';
         
         // Show level complete screen
-        document.getElementById('game-ui').classList.add('hidden');
-        document.getElementById('level-complete').classList.remove('hidden');
+        this._showScreen('level-complete');
         document.getElementById('level-score').textContent = this.score;
+        document.getElementById('level-best-score').textContent = progress.bestScore;
+        document.getElementById('level-time').textContent = Utils.formatTime(this.levelTime);
+        document.getElementById('level-best-time').textContent = Utils.formatTime(progress.bestTime);
+        document.getElementById('level-collectibles').textContent =
+            `${level.collectedCount}/${level.totalCollectibles}`;
+    }
+    
+    /**
+     * Complete the whole campaign
+     */
+    completeCampaign() {
+        this.currentState = 'campaignComplete';
         
-        // Play completion sound
-        if (this.audio.levelComplete) {
-            this.audio.levelComplete.play().catch(error => console.log('Audio playback prevented:', error));
-        }
+        // Show campaign complete screen
+        this._showScreen('campaign-complete');
+        document.getElementById('campaign-score').textContent = this.score;
     }
     
     /**
      * Load the next level
      */
     nextLevel() {
-        this.currentLevelIndex++;
+        const nextIndex = this.currentLevelIndex + 1;
         
-        if (this.currentLevelIndex >= this.levels.length) {
-            // All levels complete, end game
-            this.endGame();
+        if (nextIndex >= this.levels.length) {
+            if (this.campaign.isComplete()) {
+                this.completeCampaign();
+            } else {
+                this._showLevelSelect();
+            }
+            return;
+        }
+        
+        // Custom unlock rules may keep the next level locked
+        if (!this.campaign.isUnlocked(this.campaign.levels[nextIndex].id)) {
+            this._showLevelSelect();
             return;
         }
         
         // Load next level
+        this.currentLevelIndex = nextIndex;
         this._loadLevel(this.currentLevelIndex);
         
         // Return to game
         this.currentState = 'playing';
-        document.getElementById('level-complete').classList.add('hidden');
-        document.getElementById('game-ui').classList.remove('hidden');
+        this._showScreen('game-ui');
+    }
+    
+    /**
+     * Watch a recorded run
+     * @param {Object} replayData - Replay data (see replay.js)
+     * @returns {Boolean} - True if the replay started
+     */
+    watchReplay(replayData) {
+        const levelIndex = this.campaign.getLevelIndex(replayData.levelId);
+        if (levelIndex === -1) {
+            console.error(`Replay level "${replayData.levelId}" is not part of this campaign`);
+            return false;
+        }
+        
+        // Don't record while watching
+        this.recorder.finish();
+        
+        this.replay = new ReplayPlayer(replayData);
+        this.currentLevelIndex = levelIndex;
+        this.currentState = 'playing';
+        this.audio.playMusic(this.levels[levelIndex].music);
+        document.getElementById('level').querySelector('span').textContent = replayData.levelId;
+        this._restartReplay();
+        this.resume();
+        this.start();
+        
+        const scrub = document.getElementById('replay-scrub');
+        scrub.max = this.replay.length;
+        this._setReplaySpeed(1);
+        document.getElementById('replay-controls').classList.remove('hidden');
+        this._showScreen('game-ui');
+        return true;
+    }
+    
+    /**
+     * Jump to a tick of the replay being watched, by re-simulating from the start
+     * @param {Number} tick - Simulation tick to jump to
+     */
+    seekReplay(tick) {
+        if (!this.replay) return;
+        
+        const wasPaused = this.paused;
+        this._restartReplay();
+        
+        this.paused = false;
+        this.seeking = true;
+        while (this.replay.tick < tick && !this.paused) {
+            this._step();
+        }
+        this.seeking = false;
+        this.paused = this.paused || wasPaused;
+        
+        this._updateReplayUI();
+    }
+    
+    /**
+     * Leave replay mode
+     */
+    stopReplay() {
+        if (!this.replay) return;
+        
+        this.replay = null;
+        this.timeScale = 1;
+        this.resume();
+        REPLAY_KEYS.forEach(key => {
+            this.player.keys[key] = false;
+        });
+        
+        document.getElementById('replay-controls').classList.add('hidden');
+    }
+    
+    /**
+     * Open the level editor, starting from the current level
+     */
+    openEditor() {
+        if (!this.editor.data) {
+            this.editor.open(this.levels[this.currentLevelIndex].levelData);
+        } else if (this.editor.testing) {
+            this.editor.stopTest();
+        }
+        
+        this.editor.active = true;
+        this.currentState = 'editor';
+        this.resume();
+        this.start();
+        
+        this._showScreen('editor-panel');
+    }
+    
+    /**
+     * Close the level editor and return to the main menu
+     */
+    closeEditor() {
+        this.editor.close();
+        this._showMainMenu();
+    }
+    
+    /**
+     * Play-test the level in the editor from its spawn point
+     */
+    playTestEditorLevel() {
+        if (!this.editor.startTest()) return;
+        
+        // Play-tests are not recorded
+        this.recorder.finish();
+        
+        this.currentState = 'playing';
+        this.resume();
+        this.levelStartScore = this.score;
+        
+        const spawnPos = this.editor.level.getSpawnPosition();
+        this.player.reset(spawnPos.x, spawnPos.y);
+        this._resetCamera(spawnPos);
+        this._updateUI();
+        this.audio.playMusic(this.editor.level.music);
+        
+        this._showScreen('game-ui');
     }
     
     /**
      * Main game loop
+     * Runs the simulation in fixed steps of clock.step and renders
+     * in between, interpolating positions by the leftover time.
      * @param {Number} timestamp - Current time in milliseconds
      * @private
      */
     _gameLoop(timestamp) {
         if (!this.running) return;
         
-        // Calculate delta time
-        const deltaTime = timestamp - this.lastFrameTime;
+        // Calculate frame time
+        const deltaTime = Math.min(timestamp - this.lastFrameTime, this.maxFrameTime);
         this.lastFrameTime = timestamp;
         
+        // Gamepads have no events for buttons and sticks
+        this.gamepad.poll();
+        
         // Update FPS counter
         this._updateFPS(deltaTime);
         
         // If game is paused, only redraw the current frame
         if (!this.paused) {
-            this._update(deltaTime);
+            this.accumulator += deltaTime * this.timeScale;
+            
+            while (this.accumulator >= this.clock.step) {
+                this._step();
+                this.accumulator -= this.clock.step;
+            }
         }
         
-        this._render();
+        this._render(this.accumulator / this.clock.step);
         
         // Schedule next frame
         requestAnimationFrame(this._gameLoop.bind(this));
     }
     
+    /**
+     * Run one fixed simulation step
+     * @private
+     */
+    _step() {
+        if (this.currentState === 'playing') {
+            // Remember where everything was for render interpolation
+            this._savePreviousPositions();
+            
+            // Feed recorded inputs when watching a replay, otherwise record them
+            if (this.replay) {
+                if (this.replay.isFinished()) {
+                    this._finishReplay();
+                    return;
+                }
+                Object.assign(this.player.keys, this.replay.next());
+            } else {
+                this._readInput();
+                this.recorder.record(this.player.keys);
+            }
+        }
+        
+        this._update(this.clock.step);
+        this.clock.advance();
+    }
+    
     /**
      * Update game logic
-     * @param {Number} deltaTime - Time since last frame in milliseconds
+     * @param {Number} deltaTime - Length of the simulation step in milliseconds
      * @private
      */
     _update(deltaTime) {
-        // Limit delta time to avoid large jumps
-        const cappedDeltaTime = Math.min(deltaTime, 32);
-        
         if (this.currentState === 'playing') {
+            const level = this._getCurrentLevel();
+            
+            // Freeze for a moment when a hit lands, still shaking the camera
+            if (level.combat.isFrozen()) {
+                level.combat.updateHitStop(deltaTime);
+                this.camera.update(this.player, level, deltaTime);
+                return;
+            }
+            
             // Update player
-            this.player.update(cappedDeltaTime);
+            this.player.update(deltaTime);
             
             // Apply physics to player
-            this.physics.update(this.player, this.levels[this.currentLevelIndex].platforms, cappedDeltaTime);
+            this.physics.update(this.player, level.getPlatformsNear(this.player), deltaTime, level.getSlopesNear(this.player));
             
             // Update current level
-            this.levels[this.currentLevelIndex].update(cappedDeltaTime, this.player);
+            level.update(deltaTime, this.player);
+            this.levelTime += deltaTime;
             
             // Update camera position
-            this._updateCamera();
+            this.camera.update(this.player, level, deltaTime);
+            
+            this._updatePowerUpUI();
             
             // Check for level completion
-            if (this.levels[this.currentLevelIndex].complete) {
+            if (level.complete) {
                 this.completeLevel();
             }
+        } else if (this.currentState === 'editor') {
+            this.editor.update(deltaTime);
         }
     }
     
     /**
      * Render the game
+     * @param {Number} alpha - Progress between the last two simulation steps (0 to 1)
      * @private
      */
-    _render() {
+    _render(alpha = 1) {
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
-        // Draw current level
-        this.levels[this.currentLevelIndex].draw(this.ctx, this.camera.x, this.camera.y);
+        if (this.currentState === 'editor') {
+            // Editor draws the level with its own camera and overlays
+            this.editor.draw(this.ctx);
+        } else {
+            const view = this.camera.getView(alpha);
+            
+            this.ctx.save();
+            this.ctx.scale(view.zoom, view.zoom);
+            
+            // Draw current level
+            this._getCurrentLevel().draw(this.ctx, view.x, view.y, alpha, view.zoom);
+            
+            // Draw player
+            Utils.drawInterpolated(this.player, alpha, () => {
+                this.player.draw(this.ctx, view.x, view.y);
+            });
+            
+            this.ctx.restore();
+            
+            const boss = this._getCurrentLevel().activeBoss;
+            if (boss) {
+                boss.drawHealthBar(this.ctx);
+            }
+        }
         
-        // Draw player
-        this.player.draw(this.ctx, this.camera.x, this.camera.y);
+        if (this.replay) {
+            this._updateReplayUI();
+        }
         
         // Draw FPS counter (for debugging)
         this._drawFPS();
     }
     
     /**
-     * Update camera position to follow player
+     * Move camera to a spawn position
+     * @param {Object} spawnPos - {x, y} position to center on
      * @private
      */
-    _updateCamera() {
-        // Target position: center camera on player
-        const targetX = this.player.x - this.canvas.width / 2 + this.player.width / 2;
-        const targetY = this.player.y - this.canvas.height / 2 + this.player.height / 2;
-        
-        // Smooth camera movement with lerp
-        const lerp = 0.1;
-        this.camera.x += (targetX - this.camera.x) * lerp;
-        this.camera.y += (targetY - this.camera.y) * lerp;
-        
-        // Constrain camera within level boundaries
-        const currentLevel = this.levels[this.currentLevelIndex];
-        
-        this.camera.x = Math.max(0, Math.min(this.camera.x, currentLevel.width - this.canvas.width));
-        this.camera.y = Math.max(0, Math.min(this.camera.y, currentLevel.height - this.canvas.height));
+    _resetCamera(spawnPos) {
+        this.camera.reset(spawnPos, this._getCurrentLevel());
+    }
+    
+    /**
+     * Store positions before a simulation step for render interpolation
+     * @private
+     */
+    _savePreviousPositions() {
+        this.camera.savePreviousPosition();
+        this.player.prevRenderX = this.player.x;
+        this.player.prevRenderY = this.player.y;
+        this._getCurrentLevel().savePreviousPositions();
+    }
+    
+    /**
+     * Get the level being played (a campaign level or the editor's play-test level)
+     * @returns {Level} - Current level
+     * @private
+     */
+    _getCurrentLevel() {
+        return this.editor.testing ? this.editor.level : this.levels[this.currentLevelIndex];
     }
     
     /**
@@ -320,16 +631,39 @@ class Game {
     }
     
     /**
-     * Create level objects
+     * Create the campaign and its level objects from the level files
      * @private
      */
-    _createLevels() {
-        // Create sample level for now
-        const sampleLevel = createSampleLevel();
-        sampleLevel.setPhysics(this.physics);
-        this.levels.push(sampleLevel);
+    async _createLevels() {
+        try {
+            await Assets.load([{ key: 'campaign', type: 'campaign', src: this.campaignFile }]);
+            this.campaign = Assets.get('campaign');
+            
+            const entries = this.campaign.levels.map(entry => ({ key: `levels/${entry.id}`, type: 'level', src: entry.file }));
+            await Assets.load(entries, progress => this._showLoadingProgress('Loading levels', progress));
+            
+            this.levels = this.campaign.levels.map(entry => {
+                const level = Assets.get(`levels/${entry.id}`);
+                if (level.id !== entry.id) {
+                    throw new LevelFormatError(`${entry.file}: id "${level.id}" does not match campaign entry "${entry.id}"`, 'id');
+                }
+                return level;
+            });
+        } catch (error) {
+            // Invalid level files are a content bug, so surface them loudly
+            if (error instanceof LevelFormatError) {
+                console.error(error.message);
+            } else {
+                console.warn('Could not fetch level files, using built-in sample level:', error.message);
+            }
+            this.campaign = createSampleCampaign();
+            this.levels = [createSampleLevel()];
+        }
         
-        // In a real game, you would load multiple levels
+        this.levels.forEach((level, index) => {
+            level.setPhysics(this.physics);
+            this.campaign.levels[index].name = level.name || level.id;
+        });
     }
     
     /**
@@ -340,41 +674,192 @@ class Game {
     _loadLevel(levelIndex) {
         if (levelIndex >= this.levels.length) return;
         
+        // Start the level fresh, in case it was played before
+        this.levels[levelIndex].reset();
+        this.levelStartScore = this.score;
+        this.levelTime = 0;
+        
         // Reset player position to level spawn point
         const spawnPos = this.levels[levelIndex].getSpawnPosition();
         this.player.reset(spawnPos.x, spawnPos.y);
         
         // Reset camera position
-        this.camera.x = Math.max(0, spawnPos.x - this.canvas.width / 2);
-        this.camera.y = Math.max(0, spawnPos.y - this.canvas.height / 2);
+        this._resetCamera(spawnPos);
         
         // Update UI
-        document.getElementById('level').querySelector('span').textContent = levelIndex + 1;
+        document.getElementById('level').querySelector('span').textContent = this.campaign.levels[levelIndex].id;
+        
+        this.audio.playMusic(this.levels[levelIndex].music);
+        this._beginRun();
+        
+        // Continuing should bring the player back to this level
+        this._writeSave({
+            levelId: this.campaign.levels[levelIndex].id,
+            levelStartScore: this.score,
+            score: this.score,
+            checkpoint: null
+        });
     }
     
     /**
-     * Load game assets
+     * Copy the held input actions to the player
      * @private
      */
-    async _loadAssets() {
-        // In a real game, you would load actual assets
-        console.log('Loading game assets...');
-        
-        // Simulate loading audio
-        this.audio = {
-            jump: new Audio(),
-            collect: new Audio(),
-            hurt: new Audio(),
-            levelComplete: new Audio(),
-            bgMusic: new Audio()
-        };
+    _readInput() {
+        const keys = this.player.keys;
+        keys.left = this.input.isDown('moveLeft');
+        keys.right = this.input.isDown('moveRight');
+        keys.jump = this.input.isDown('jump');
+        keys.attack = this.input.isDown('attack');
+    }
+    
+    /**
+     * Start recording a run
+     * @param {Object} checkpoint - Saved checkpoint the run starts from
+     * ({index, collected, defeated}), if any
+     * @private
+     */
+    _beginRun(checkpoint = null) {
+        this.clock.reset();
         
-        // Placeholder for actual asset loading
-        return new Promise(resolve => {
-            setTimeout(resolve, 500);
+        this.recorder.start({
+            levelId: this.campaign.levels[this.currentLevelIndex].id,
+            step: this.clock.step,
+            checkpoint: checkpoint ? checkpoint.index : undefined,
+            collected: checkpoint ? checkpoint.collected : undefined,
+            defeated: checkpoint ? checkpoint.defeated : undefined
         });
     }
     
+    /**
+     * Put the level back in the state the watched replay started from
+     * @private
+     */
+    _restartReplay() {
+        const replayData = this.replay.replay;
+        const level = this.levels[this.currentLevelIndex];
+        
+        level.reset();
+        if (typeof replayData.checkpoint === 'number') {
+            level.restoreCheckpoint(replayData.checkpoint, replayData);
+        }
+        
+        const spawnPos = level.getSpawnPosition();
+        this.player.reset(spawnPos.x, spawnPos.y);
+        this._resetCamera(spawnPos);
+        
+        this.score = 0;
+        this.levelStartScore = 0;
+        this.levelTime = 0;
+        this.accumulator = 0;
+        this.clock.reset();
+        this.replay.tick = 0;
+        
+        this._updateUI();
+    }
+    
+    /**
+     * Stop at the end of a replay, keeping the last frame on screen
+     * @private
+     */
+    _finishReplay() {
+        this.replay.tick = this.replay.length;
+        this.pause();
+        this._updateReplayUI();
+    }
+    
+    /**
+     * Set replay playback speed
+     * @param {Number} speed - Speed multiplier
+     * @private
+     */
+    _setReplaySpeed(speed) {
+        this.timeScale = speed;
+        document.querySelectorAll('#replay-controls [data-speed]').forEach(button => {
+            button.classList.toggle('active', Number(button.dataset.speed) === speed);
+        });
+    }
+    
+    /**
+     * Update the replay controls
+     * @private
+     */
+    _updateReplayUI() {
+        const step = this.replay.replay.step;
+        
+        document.getElementById('replay-scrub').value = this.replay.tick;
+        document.getElementById('replay-time').textContent =
+            `${Utils.formatTime(this.replay.tick * step)} / ${Utils.formatTime(this.replay.length * step)}`;
+        document.getElementById('replay-play-button').textContent =
+            this.replay.isFinished() ? 'Restart' : (this.paused ? 'Play' : 'Pause');
+    }
+    
+    /**
+     * Load a save slot and apply its progress to the campaign
+     * @param {Number} slot - Slot number, starting at 1
+     * @private
+     */
+    _loadSaveSlot(slot) {
+        this.saveSlot = slot;
+        this.saveManager.setLastSlot(slot);
+        this.saveData = this.saveManager.load(slot) || this.saveManager.createEmpty();
+        
+        this.campaign.restoreProgress(this.saveData.levels, this.saveData.unlockedLevels);
+        this._updateSaveUI();
+    }
+    
+    /**
+     * Write campaign progress to the current save slot
+     * @param {Object|null} resume - Where "Continue" should start, or undefined to keep the saved one
+     * @private
+     */
+    _writeSave(resume) {
+        if (resume !== undefined) {
+            this.saveData.resume = resume;
+        }
+        
+        this.saveData.unlockedLevels = this.campaign.getUnlockedLevels();
+        this.saveData.levels = this.campaign.progress;
+        this.saveManager.save(this.saveSlot, this.saveData);
+        
+        this._updateSaveUI();
+    }
+    
+    /**
+     * Get localStorage, which throws in some browsers when storage is disabled
+     * @returns {Storage|null} - Storage, or null if unavailable
+     * @private
+     */
+    _getStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            console.warn('localStorage is unavailable, progress will not be saved');
+            return null;
+        }
+    }
+    
+    /**
+     * Load the assets in the manifest. Every entry has a fallback, so the
+     * game starts with placeholders for anything that fails to load.
+     * @private
+     */
+    async _loadAssets() {
+        await Assets.load(ASSET_MANIFEST, progress => this._showLoadingProgress('Loading assets', progress));
+    }
+    
+    /**
+     * Show loading progress on the loading screen
+     * @param {String} label - What is being loaded
+     * @param {Number} progress - Fraction done, 0 to 1
+     * @private
+     */
+    _showLoadingProgress(label, progress) {
+        const percent = Math.round(progress * 100);
+        document.getElementById('loading-bar').style.width = `${percent}%`;
+        document.getElementById('loading-status').textContent = `${label}... ${percent}%`;
+    }
+    
     /**
      * Setup event handlers
      * @private
@@ -384,33 +869,154 @@ class Game {
         window.addEventListener('resize', this._resizeCanvas.bind(this));
         
         // Button click handlers
+        document.getElementById('continue-button').addEventListener('click', () => {
+            this.continueGame();
+        });
+        
         document.getElementById('start-button').addEventListener('click', () => {
             this.startGame();
         });
         
+        document.getElementById('save-slot-select').addEventListener('change', (e) => {
+            this._loadSaveSlot(parseInt(e.target.value, 10));
+        });
+        
+        document.getElementById('level-select-button').addEventListener('click', () => {
+            this._showLevelSelect();
+        });
+        
+        document.getElementById('editor-button').addEventListener('click', () => {
+            this.openEditor();
+        });
+        
         document.getElementById('controls-button').addEventListener('click', () => {
-            document.getElementById('main-menu').classList.add('hidden');
-            document.getElementById('controls-menu').classList.remove('hidden');
+            this._showControls();
+        });
+        
+        document.getElementById('settings-button').addEventListener('click', () => {
+            this._showSettings();
+        });
+        
+        document.querySelectorAll('#settings-menu [data-bus]').forEach(slider => {
+            slider.addEventListener('input', () => {
+                this.audio.setVolume(slider.dataset.bus, parseFloat(slider.value));
+            });
+            
+            // Let the player hear the new volume
+            slider.addEventListener('change', () => {
+                this._playSound('sounds/coin');
+            });
+        });
+        
+        document.getElementById('audio-muted').addEventListener('change', (e) => {
+            this.audio.setMuted(e.target.checked);
+        });
+        
+        document.getElementById('reset-settings-button').addEventListener('click', () => {
+            this.audio.resetSettings();
+            this._showSettings();
+        });
+        
+        document.getElementById('settings-back-button').addEventListener('click', () => {
+            this._showScreen('main-menu');
         });
         
+        document.getElementById('reset-bindings-button').addEventListener('click', () => {
+            this.input.resetBindings();
+            this.gamepad.resetSettings();
+            this._showControls();
+        });
+        
+        document.getElementById('gamepad-deadzone').addEventListener('input', (e) => {
+            this.gamepad.setDeadzone(parseFloat(e.target.value));
+        });
+        
+        this.gamepad.events.on('connected', () => this._updateGamepadStatus());
+        this.gamepad.events.on('disconnected', () => this._updateGamepadStatus());
+        
         document.getElementById('back-button').addEventListener('click', () => {
-            document.getElementById('controls-menu').classList.add('hidden');
-            document.getElementById('main-menu').classList.remove('hidden');
+            this.input.cancelCapture();
+            this.gamepad.cancelCapture();
+            this._showScreen('main-menu');
+        });
+        
+        document.getElementById('level-select-back-button').addEventListener('click', () => {
+            this._showMainMenu();
         });
         
         document.getElementById('next-level-button').addEventListener('click', () => {
             this.nextLevel();
         });
         
+        document.getElementById('complete-level-select-button').addEventListener('click', () => {
+            this._showLevelSelect();
+        });
+        
         document.getElementById('restart-button').addEventListener('click', () => {
-            document.getElementById('game-over').classList.add('hidden');
-            this.startGame();
+            this.startGame(this.currentLevelIndex);
         });
         
         document.getElementById('menu-button').addEventListener('click', () => {
-            document.getElementById('game-over').classList.add('hidden');
             this._showMainMenu();
         });
+        
+        document.getElementById('campaign-level-select-button').addEventListener('click', () => {
+            this._showLevelSelect();
+        });
+        
+        document.getElementById('campaign-menu-button').addEventListener('click', () => {
+            this._showMainMenu();
+        });
+        
+        // Replays
+        document.getElementById('watch-replay-button').addEventListener('click', () => {
+            if (this.lastReplay) this.watchReplay(this.lastReplay);
+        });
+        
+        document.querySelectorAll('.download-replay-button').forEach(button => {
+            button.addEventListener('click', () => {
+                if (this.lastReplay) {
+                    Utils.downloadJSON(this.lastReplay, `replay-${this.lastReplay.levelId}.json`);
+                }
+            });
+        });
+        
+        document.getElementById('replay-file-input').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            
+            file.text()
+                .then(text => this.watchReplay(parseReplay(text)))
+                .catch(error => console.error('Could not load replay:', error.message));
+        });
+        
+        document.getElementById('replay-play-button').addEventListener('click', () => {
+            if (!this.replay) return;
+            
+            if (this.replay.isFinished()) {
+                this._restartReplay();
+                this.resume();
+            } else if (this.paused) {
+                this.resume();
+            } else {
+                this.pause();
+            }
+        });
+        
+        document.getElementById('replay-scrub').addEventListener('input', (e) => {
+            this.seekReplay(parseInt(e.target.value, 10));
+        });
+        
+        document.querySelectorAll('#replay-controls [data-speed]').forEach(button => {
+            button.addEventListener('click', () => {
+                this._setReplaySpeed(Number(button.dataset.speed));
+            });
+        });
+        
+        document.getElementById('replay-exit-button').addEventListener('click', () => {
+            this._showLevelSelect();
+        });
     }
     
     /**
@@ -418,21 +1024,21 @@ class Game {
      * @private
      */
     _setupPlayerEvents() {
-        this.player.events.on('jump', () => {
-            if (this.audio.jump) {
-                this.audio.jump.currentTime = 0;
-                this.audio.jump.play().catch(error => console.log('Audio playback prevented:', error));
-            }
+        Object.keys(PLAYER_EVENT_SOUNDS).forEach(event => {
+            this.player.events.on(event, (data) => this._playEventSound(PLAYER_EVENT_SOUNDS[event], data));
+        });
+        
+        Object.keys(PLAYER_EVENT_SHAKES).forEach(event => {
+            this.player.events.on(event, () => this.camera.addTrauma(PLAYER_EVENT_SHAKES[event]));
         });
         
         this.player.events.on('damage', (data) => {
             // Update health display
             document.getElementById('health').querySelector('span').textContent = data.health;
-            
-            if (this.audio.hurt) {
-                this.audio.hurt.currentTime = 0;
-                this.audio.hurt.play().catch(error => console.log('Audio playback prevented:', error));
-            }
+        });
+        
+        this.player.events.on('heal', (data) => {
+            document.getElementById('health').querySelector('span').textContent = data.health;
         });
         
         this.player.events.on('death', () => {
@@ -443,11 +1049,26 @@ class Game {
             // Update score
             this.score += data.value;
             document.getElementById('score').querySelector('span').textContent = this.score;
+        });
+        
+        this.player.events.on('enemyPoints', (data) => {
+            this.score += data.points;
+            document.getElementById('score').querySelector('span').textContent = this.score;
+        });
+        
+        this.player.events.on('checkpoint', (data) => {
+            // Play-tested levels are not saved
+            if (this.editor.testing) return;
             
-            if (this.audio.collect) {
-                this.audio.collect.currentTime = 0;
-                this.audio.collect.play().catch(error => console.log('Audio playback prevented:', error));
-            }
+            this._writeSave({
+                levelId: this.campaign.levels[this.currentLevelIndex].id,
+                levelStartScore: this.levelStartScore,
+                score: this.score,
+                checkpoint: Object.assign(
+                    { index: data.index, score: this.score, time: this.levelTime },
+                    this.levels[this.currentLevelIndex].getProgress()
+                )
+            });
         });
         
         this.player.events.on('levelComplete', (data) => {
@@ -462,12 +1083,260 @@ class Game {
      * @private
      */
     _showMainMenu() {
+        this.stopReplay();
         this.currentState = 'mainMenu';
-        document.getElementById('main-menu').classList.remove('hidden');
-        document.getElementById('game-ui').classList.add('hidden');
-        document.getElementById('controls-menu').classList.add('hidden');
-        document.getElementById('level-complete').classList.add('hidden');
-        document.getElementById('game-over').classList.add('hidden');
+        this.resume();
+        this.audio.playMusic('music/menu');
+        this._showScreen('main-menu');
+    }
+    
+    /**
+     * Show the settings screen with the current audio settings
+     * @private
+     */
+    _showSettings() {
+        document.querySelectorAll('#settings-menu [data-bus]').forEach(slider => {
+            slider.value = this.audio.volumes[slider.dataset.bus];
+        });
+        document.getElementById('audio-muted').checked = this.audio.muted;
+        
+        this._showScreen('settings-menu');
+    }
+    
+    /**
+     * Play a sound effect, from the middle of an entity if given
+     * @param {String} key - Asset key of the sound
+     * @param {Object} entity - Entity the sound comes from, or null for a sound without a position
+     * @param {Object} options - volume and rate, as for AudioEngine.play
+     * @private
+     */
+    _playSound(key, entity = null, options = {}) {
+        if (this.seeking) return;
+        
+        const position = entity ? { x: entity.x + entity.width / 2, y: entity.y + entity.height / 2 } : {};
+        this.audio.play(key, Object.assign({}, options, position));
+    }
+    
+    /**
+     * Play the sound of a player event
+     * @param {Object} sound - Entry of PLAYER_EVENT_SOUNDS
+     * @param {Object} data - Event data
+     * @private
+     */
+    _playEventSound(sound, data) {
+        // Hits come from the enemy, so they are heard off to its side
+        const sources = { player: this.player, enemy: data && data.enemy, boss: data && data.boss };
+        const key = typeof sound.sound === 'function' ? sound.sound(data) : sound.sound;
+        const rate = typeof sound.rate === 'function' ? sound.rate(data) : sound.rate;
+        
+        this._playSound(key, sources[sound.source] || null, { volume: sound.volume, rate });
+    }
+    
+    /**
+     * Show level select screen with lock state and best results per level
+     * @private
+     */
+    _showLevelSelect() {
+        this.stopReplay();
+        this.currentState = 'levelSelect';
+        
+        const worldList = document.getElementById('world-list');
+        worldList.innerHTML = '';
+        
+        this.campaign.worlds.forEach(world => {
+            const worldElement = document.createElement('div');
+            worldElement.className = 'world';
+            
+            const heading = document.createElement('h3');
+            heading.textContent = world.name;
+            worldElement.appendChild(heading);
+            
+            const grid = document.createElement('div');
+            grid.className = 'level-grid';
+            
+            world.levels.forEach(entry => {
+                const unlocked = this.campaign.isUnlocked(entry.id);
+                const progress = this.campaign.getProgress(entry.id);
+                const bestReplay = this.saveData.replays[entry.id];
+                
+                const entryElement = document.createElement('div');
+                entryElement.className = 'level-entry';
+                
+                const button = document.createElement('button');
+                button.className = 'level-button';
+                button.disabled = !unlocked;
+                
+                const title = document.createElement('span');
+                title.className = 'level-title';
+                title.textContent = `${entry.id} ${entry.name}`;
+                button.appendChild(title);
+                
+                const details = document.createElement('span');
+                details.className = 'level-details';
+                if (!unlocked) {
+                    button.classList.add('locked');
+                    details.textContent = 'Locked';
+                } else if (progress) {
+                    details.textContent = `Best: ${progress.bestScore} | ${this.campaign.getCollectiblePercentage(entry.id)}%` +
+                        (progress.bestTime !== null ? ` | ${Utils.formatTime(progress.bestTime)}` : '');
+                } else {
+                    details.textContent = 'New';
+                }
+                button.appendChild(details);
+                
+                button.addEventListener('click', () => {
+                    if (this.campaign.isUnlocked(entry.id)) {
+                        this.startGame(entry.index);
+                    }
+                });
+                entryElement.appendChild(button);
+                
+                // Best-time run
+                if (bestReplay) {
+                    const replayButton = document.createElement('button');
+                    replayButton.className = 'replay-button';
+                    replayButton.textContent = 'Watch best run';
+                    replayButton.addEventListener('click', () => this.watchReplay(bestReplay));
+                    entryElement.appendChild(replayButton);
+                }
+                
+                grid.appendChild(entryElement);
+            });
+            
+            worldElement.appendChild(grid);
+            worldList.appendChild(worldElement);
+        });
+        
+        this._showScreen('level-select');
+    }
+    
+    /**
+     * Update the save slot selector and the Continue button
+     * @private
+     */
+    _updateSaveUI() {
+        const select = document.getElementById('save-slot-select');
+        select.innerHTML = '';
+        
+        for (let slot = 1; slot <= this.saveManager.slotCount; slot++) {
+            const data = slot === this.saveSlot ? this.saveData : this.saveManager.load(slot);
+            const completed = data ? Object.values(data.levels).filter(level => level.completed).length : 0;
+            
+            const option = document.createElement('option');
+            option.value = slot;
+            option.textContent = data && data.updatedAt
+                ? `Slot ${slot} - ${completed}/${this.campaign.levels.length} levels`
+                : `Slot ${slot} - Empty`;
+            select.appendChild(option);
+        }
+        
+        select.value = this.saveSlot;
+        document.getElementById('continue-button').classList.toggle('hidden', !this.saveData.resume);
+    }
+    
+    /**
+     * Show the controls screen with a button for every key binding
+     * @private
+     */
+    _showControls() {
+        this.input.cancelCapture();
+        this.gamepad.cancelCapture();
+        
+        const table = document.getElementById('key-bindings');
+        table.innerHTML = '';
+        
+        // Only one binding waits for input at a time
+        const markWaiting = (button, text) => {
+            table.querySelectorAll('.waiting').forEach(other => {
+                other.classList.remove('waiting');
+                other.textContent = other.dataset.label;
+            });
+            
+            button.textContent = text;
+            button.classList.add('waiting');
+        };
+        
+        const createBindingButton = (label, onClick) => {
+            const cell = document.createElement('td');
+            const button = document.createElement('button');
+            button.className = 'binding-button';
+            button.dataset.label = label;
+            button.textContent = label;
+            button.addEventListener('click', () => onClick(button));
+            cell.appendChild(button);
+            return cell;
+        };
+        
+        INPUT_ACTIONS.forEach(({ action, label }) => {
+            const row = document.createElement('tr');
+            
+            const name = document.createElement('th');
+            name.textContent = label;
+            row.appendChild(name);
+            
+            // Click, then press a key to bind it. Backspace clears the slot.
+            for (let slot = 0; slot < BINDINGS_PER_ACTION; slot++) {
+                const code = this.input.bindings[action][slot];
+                
+                row.appendChild(createBindingButton(code ? InputManager.getKeyLabel(code) : '-', button => {
+                    markWaiting(button, 'Press a key...');
+                    this.gamepad.cancelCapture();
+                    this.input.captureNextKey(newCode => {
+                        this.input.bind(action, slot, newCode === 'Backspace' ? null : newCode);
+                        this._showControls();
+                    });
+                }));
+            }
+            
+            // Click, then press a gamepad button to map it
+            const buttons = this.gamepad.buttons[action];
+            const gamepadLabel = buttons.length ? buttons.map(GamepadInput.getButtonLabel).join(', ') : '-';
+            
+            row.appendChild(createBindingButton(gamepadLabel, button => {
+                markWaiting(button, 'Press a button...');
+                this.input.cancelCapture();
+                this.gamepad.captureNextButton(index => {
+                    this.gamepad.bind(action, index);
+                    this._showControls();
+                });
+                
+                // The game loop polls gamepads, so poll here while it isn't running
+                const waitForButton = () => {
+                    if (!this.gamepad.capture || this.running) return;
+                    this.gamepad.poll();
+                    requestAnimationFrame(waitForButton);
+                };
+                waitForButton();
+            }));
+            
+            table.appendChild(row);
+        });
+        
+        document.getElementById('gamepad-deadzone').value = this.gamepad.deadzone;
+        this._updateGamepadStatus();
+        this._showScreen('controls-menu');
+    }
+    
+    /**
+     * Show which gamepads are connected on the controls screen
+     * @private
+     */
+    _updateGamepadStatus() {
+        const names = [...this.gamepad.connected.values()];
+        document.getElementById('gamepad-status').textContent = names.length
+            ? `Gamepad connected: ${names.join(', ')}`
+            : 'No gamepad connected. Press a button on the gamepad to connect it.';
+    }
+    
+    /**
+     * Show a single UI screen and hide all others
+     * @param {String} screenId - ID of the screen element to show
+     * @private
+     */
+    _showScreen(screenId) {
+        document.querySelectorAll('.ui-overlay .game-state').forEach(screen => {
+            screen.classList.toggle('hidden', screen.id !== screenId);
+        });
     }
     
     /**
@@ -477,7 +1346,26 @@ class Game {
     _updateUI() {
         document.getElementById('health').querySelector('span').textContent = this.player.health;
         document.getElementById('score').querySelector('span').textContent = this.score;
-        document.getElementById('level').querySelector('span').textContent = this.currentLevelIndex + 1;
+        document.getElementById('level').querySelector('span').textContent = this.editor.testing
+            ? this.editor.level.id
+            : this.campaign.levels[this.currentLevelIndex].id;
+    }
+    
+    /**
+     * Show active power-ups with the time they have left
+     * @private
+     */
+    _updatePowerUpUI() {
+        const text = this.player.powerUps.getActive().map(powerUp => {
+            const charges = powerUp.charges > 1 ? ` x${powerUp.charges}` : '';
+            return `${powerUp.label}${charges} ${Math.ceil(powerUp.remaining / 1000)}s`;
+        }).join('<br>');
+        
+        // Only touch the DOM when the countdown changes
+        if (text !== this.powerUpText) {
+            this.powerUpText = text;
+            document.getElementById('power-ups').innerHTML = text;
+        }
     }
     
     /**
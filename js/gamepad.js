@@ -0,0 +1,289 @@
+/**
+ * Gamepad support through the browser Gamepad API
+ *
+ * Gamepads are polled once per frame and their buttons and sticks are
+ * reported to the InputManager as actions from the 'gamepad' source, so the
+ * rest of the game treats them like the keyboard. Button numbers follow the
+ * Gamepad API "standard" mapping (0 = A / Cross, 9 = Start, ...).
+ *
+ * Settings are stored in localStorage as:
+ * { version, deadzone, buttons: { action: [buttonIndex, ...] } }
+ */
+
+/**
+ * Current gamepad settings format version
+ */
+const GAMEPAD_SETTINGS_VERSION = 1;
+
+/**
+ * Default button mapping (standard mapping button indices)
+ */
+const DEFAULT_GAMEPAD_BUTTONS = {
+    moveLeft: [14],     // D-pad left
+    moveRight: [15],    // D-pad right
+    jump: [0],          // A / Cross
+    attack: [2],        // X / Square
+    pause: [9],         // Start / Options
+    restart: [3],       // Y / Triangle
+    menu: [8]           // Back / Share
+};
+
+/**
+ * Default stick deadzone, as a fraction of full tilt
+ */
+const DEFAULT_GAMEPAD_DEADZONE = 0.25;
+
+/**
+ * GamepadInput class to feed gamepads into the action layer
+ */
+class GamepadInput {
+    /**
+     * @param {InputManager} input - Action layer to report to
+     * @param {Storage} storage - Storage backend (localStorage), or null if unavailable
+     * @param {String} storageKey - Key the settings are stored under
+     */
+    constructor(input, storage, storageKey = 'platformer.gamepad') {
+        this.input = input;
+        this.storage = storage;
+        this.storageKey = storageKey;
+
+        this.deadzone = DEFAULT_GAMEPAD_DEADZONE;
+        this.buttons = this._copyButtons(DEFAULT_GAMEPAD_BUTTONS);
+
+        // Connected gamepads by index
+        this.connected = new Map();
+
+        // Buttons held on the previous poll, for capturing new presses
+        this.previousButtons = new Set();
+
+        // Callback waiting for the next button press (see captureNextButton)
+        this.capture = null;
+
+        // 'connected' and 'disconnected' events with {index, id}
+        this.events = Utils.createEventEmitter();
+
+        this.load();
+    }
+
+    /**
+     * Start listening for gamepads being plugged in and out
+     * @param {EventTarget} target - Element to listen on
+     */
+    attach(target = window) {
+        target.addEventListener('gamepadconnected', (e) => {
+            this.connected.set(e.gamepad.index, e.gamepad.id);
+            this.events.emit('connected', { index: e.gamepad.index, id: e.gamepad.id });
+        });
+
+        target.addEventListener('gamepaddisconnected', (e) => {
+            this.connected.delete(e.gamepad.index);
+            this.events.emit('disconnected', { index: e.gamepad.index, id: e.gamepad.id });
+
+            // Don't leave actions held by a pad that is gone
+            if (this.connected.size === 0) {
+                this._report(new Set(), 0);
+            }
+        });
+    }
+
+    /**
+     * Read every connected gamepad and report held actions. Call once per frame.
+     */
+    poll() {
+        if (this.connected.size === 0) return;
+
+        const pads = this._getGamepads();
+        const held = new Set();
+        let axis = 0;
+
+        pads.forEach(pad => {
+            pad.buttons.forEach((button, index) => {
+                if (button.pressed) held.add(index);
+            });
+
+            // Use the stick tilted furthest
+            const x = pad.axes[0] || 0;
+            if (Math.abs(x) > Math.abs(axis)) axis = x;
+        });
+
+        // Hand a newly pressed button to the remapping screen instead of the game
+        if (this.capture) {
+            const pressed = [...held].find(index => !this.previousButtons.has(index));
+            if (pressed !== undefined) {
+                const callback = this.capture;
+                this.capture = null;
+                this.previousButtons = held;
+                callback(pressed);
+                return;
+            }
+        }
+
+        // Buttons held through a capture stay ignored until released
+        this.previousButtons = held;
+        this._report(held, axis);
+    }
+
+    /**
+     * Check whether any gamepad is connected
+     * @returns {Boolean} - True if at least one gamepad is connected
+     */
+    isConnected() {
+        return this.connected.size > 0;
+    }
+
+    /**
+     * Set the stick deadzone
+     * @param {Number} deadzone - Fraction of full tilt to ignore, from 0 to 0.9
+     */
+    setDeadzone(deadzone) {
+        this.deadzone = Utils.clamp(deadzone, 0, 0.9);
+        this.save();
+    }
+
+    /**
+     * Map a button to an action. The button is removed from any other action.
+     * @param {String} action - Action name
+     * @param {Number} buttonIndex - Standard mapping button index
+     */
+    bind(action, buttonIndex) {
+        if (!this.buttons[action]) {
+            throw new Error(`Unknown input action "${action}"`);
+        }
+
+        Object.keys(this.buttons).forEach(other => {
+            this.buttons[other] = this.buttons[other].filter(index => index !== buttonIndex);
+        });
+        this.buttons[action] = [buttonIndex];
+
+        this.save();
+    }
+
+    /**
+     * Restore the default mapping and deadzone
+     */
+    resetSettings() {
+        this.deadzone = DEFAULT_GAMEPAD_DEADZONE;
+        this.buttons = this._copyButtons(DEFAULT_GAMEPAD_BUTTONS);
+        this.save();
+    }
+
+    /**
+     * Hand the next button press to a callback instead of the game (for remapping)
+     * @param {Function} callback - Called with the button index
+     */
+    captureNextButton(callback) {
+        this.capture = callback;
+    }
+
+    /**
+     * Stop waiting for a button press
+     */
+    cancelCapture() {
+        this.capture = null;
+    }
+
+    /**
+     * Load settings from storage, keeping defaults for anything missing
+     */
+    load() {
+        let text = null;
+        try {
+            text = this.storage ? this.storage.getItem(this.storageKey) : null;
+        } catch (error) {
+            console.warn('Could not read gamepad settings:', error.message);
+        }
+        if (text === null) return;
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            console.warn('Stored gamepad settings are corrupt and were ignored:', error.message);
+            return;
+        }
+
+        if (!data || data.version !== GAMEPAD_SETTINGS_VERSION) {
+            console.warn('Stored gamepad settings have an unknown format and were ignored');
+            return;
+        }
+
+        if (typeof data.deadzone === 'number') {
+            this.deadzone = Utils.clamp(data.deadzone, 0, 0.9);
+        }
+
+        if (data.buttons && typeof data.buttons === 'object') {
+            Object.keys(this.buttons).forEach(action => {
+                const indices = data.buttons[action];
+                if (Array.isArray(indices) && indices.every(Number.isInteger)) {
+                    this.buttons[action] = indices.slice();
+                }
+            });
+        }
+    }
+
+    /**
+     * Write settings to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                version: GAMEPAD_SETTINGS_VERSION,
+                deadzone: this.deadzone,
+                buttons: this.buttons
+            }));
+        } catch (error) {
+            console.warn('Could not save gamepad settings:', error.message);
+        }
+    }
+
+    /**
+     * Get a readable name for a standard mapping button
+     * @param {Number} index - Button index
+     * @returns {String} - Button name
+     */
+    static getButtonLabel(index) {
+        const names = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3',
+            'D-pad Up', 'D-pad Down', 'D-pad Left', 'D-pad Right', 'Home'];
+        return names[index] || `Button ${index}`;
+    }
+
+    /**
+     * Report held actions to the action layer
+     * @private
+     */
+    _report(held, axis) {
+        Object.keys(this.buttons).forEach(action => {
+            let down = this.buttons[action].some(index => held.has(index));
+
+            // The stick also moves the player
+            if (action === 'moveLeft') down = down || axis < -this.deadzone;
+            if (action === 'moveRight') down = down || axis > this.deadzone;
+
+            this.input.setAction('gamepad', action, down);
+        });
+    }
+
+    /**
+     * Get the connected gamepads
+     * @private
+     */
+    _getGamepads() {
+        if (!navigator.getGamepads) return [];
+
+        return Array.from(navigator.getGamepads()).filter(pad => pad && pad.connected);
+    }
+
+    /**
+     * Deep copy a button mapping
+     * @private
+     */
+    _copyButtons(buttons) {
+        const copy = {};
+        Object.keys(buttons).forEach(action => {
+            copy[action] = buttons[action].slice();
+        });
+        return copy;
+    }
+}
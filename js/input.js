@@ -0,0 +1,332 @@
+/**
+ * Action-based input
+ *
+ * Game code asks for actions (moveLeft, jump, ...) instead of keys. Keys are
+ * matched on KeyboardEvent.code, so bindings follow the physical key and
+ * ignore Caps Lock and keyboard layout. Other input sources (touch buttons)
+ * report actions directly through setAction.
+ *
+ * Bindings are stored in localStorage as:
+ * { version, bindings: { action: [code, ...] } }
+ */
+
+/**
+ * Current key bindings format version
+ */
+const KEY_BINDINGS_VERSION = 1;
+
+/**
+ * Number of keys that can be bound to each action
+ */
+const BINDINGS_PER_ACTION = 3;
+
+/**
+ * Input actions, in the order shown on the controls screen
+ */
+const INPUT_ACTIONS = [
+    { action: 'moveLeft', label: 'Move Left' },
+    { action: 'moveRight', label: 'Move Right' },
+    { action: 'jump', label: 'Jump' },
+    { action: 'attack', label: 'Attack' },
+    { action: 'pause', label: 'Pause' },
+    { action: 'restart', label: 'Restart' },
+    { action: 'menu', label: 'Menu' }
+];
+
+/**
+ * Default key bindings (KeyboardEvent.code values)
+ */
+const DEFAULT_KEY_BINDINGS = {
+    moveLeft: ['ArrowLeft', 'KeyA'],
+    moveRight: ['ArrowRight', 'KeyD'],
+    jump: ['Space', 'ArrowUp', 'KeyW'],
+    attack: ['KeyX', 'KeyJ'],
+    pause: ['KeyP'],
+    restart: ['KeyR'],
+    menu: ['Escape']
+};
+
+/**
+ * InputManager class to map keys and other input sources to actions
+ */
+class InputManager {
+    /**
+     * @param {Storage} storage - Storage backend (localStorage), or null if unavailable
+     * @param {String} storageKey - Key the bindings are stored under
+     */
+    constructor(storage, storageKey = 'platformer.keyBindings') {
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.bindings = this._copyBindings(DEFAULT_KEY_BINDINGS);
+
+        // Keyboard state
+        this.pressedCodes = new Set();
+
+        // Actions held by other input sources, by source name
+        this.sources = {};
+
+        // Callback waiting for the next key press (see captureNextKey)
+        this.capture = null;
+
+        // 'press' and 'release' events with {action, event}
+        this.events = Utils.createEventEmitter();
+
+        this.load();
+    }
+
+    /**
+     * Start listening to keyboard events
+     * @param {EventTarget} target - Element to listen on
+     */
+    attach(target = window) {
+        target.addEventListener('keydown', (e) => this._onKeyDown(e));
+        target.addEventListener('keyup', (e) => this._onKeyUp(e));
+
+        // Keys released while the window is in the background never send keyup
+        target.addEventListener('blur', () => this.releaseAll());
+    }
+
+    /**
+     * Check whether an action is held
+     * @param {String} action - Action name
+     * @returns {Boolean} - True if any bound key or input source holds the action
+     */
+    isDown(action) {
+        const keys = this.bindings[action] || [];
+        if (keys.some(code => this.pressedCodes.has(code))) return true;
+
+        return Object.values(this.sources).some(actions => actions.has(action));
+    }
+
+    /**
+     * Hold or release an action from a non-keyboard input source
+     * @param {String} source - Input source name, e.g. 'touch'
+     * @param {String} action - Action name
+     * @param {Boolean} down - True while held
+     */
+    setAction(source, action, down) {
+        if (!this.sources[source]) {
+            this.sources[source] = new Set();
+        }
+
+        const wasDown = this.isDown(action);
+        if (down) {
+            this.sources[source].add(action);
+        } else {
+            this.sources[source].delete(action);
+        }
+
+        this._emitChange(action, wasDown, null);
+    }
+
+    /**
+     * Release every key and action, e.g. when the window loses focus
+     */
+    releaseAll() {
+        const held = INPUT_ACTIONS.map(({ action }) => action).filter(action => this.isDown(action));
+
+        this.pressedCodes.clear();
+        Object.values(this.sources).forEach(actions => actions.clear());
+
+        held.forEach(action => this.events.emit('release', { action, event: null }));
+    }
+
+    /**
+     * Get the action a key is bound to
+     * @param {String} code - KeyboardEvent.code
+     * @returns {String|null} - Action name, or null if the key is unbound
+     */
+    getAction(code) {
+        const binding = INPUT_ACTIONS.find(({ action }) => this.bindings[action].includes(code));
+        return binding ? binding.action : null;
+    }
+
+    /**
+     * Bind a key to an action. The key is removed from any other action.
+     * @param {String} action - Action name
+     * @param {Number} slot - Binding slot, from 0 to BINDINGS_PER_ACTION - 1
+     * @param {String|null} code - KeyboardEvent.code, or null to clear the slot
+     */
+    bind(action, slot, code) {
+        if (!this.bindings[action]) {
+            throw new Error(`Unknown input action "${action}"`);
+        }
+
+        if (code) {
+            Object.keys(this.bindings).forEach(other => {
+                this.bindings[other] = this.bindings[other].filter(bound => bound !== code);
+            });
+        }
+
+        const keys = this.bindings[action].slice(0, BINDINGS_PER_ACTION);
+        keys[slot] = code;
+        this.bindings[action] = keys.filter(Boolean);
+
+        this.save();
+    }
+
+    /**
+     * Restore the default bindings
+     */
+    resetBindings() {
+        this.bindings = this._copyBindings(DEFAULT_KEY_BINDINGS);
+        this.save();
+    }
+
+    /**
+     * Hand the next key press to a callback instead of the game (for remapping)
+     * @param {Function} callback - Called with the KeyboardEvent.code
+     */
+    captureNextKey(callback) {
+        this.capture = callback;
+    }
+
+    /**
+     * Stop waiting for a key press
+     */
+    cancelCapture() {
+        this.capture = null;
+    }
+
+    /**
+     * Load bindings from storage, keeping defaults for anything missing
+     */
+    load() {
+        let text = null;
+        try {
+            text = this.storage ? this.storage.getItem(this.storageKey) : null;
+        } catch (error) {
+            console.warn('Could not read key bindings:', error.message);
+        }
+        if (text === null) return;
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            console.warn('Stored key bindings are corrupt and were ignored:', error.message);
+            return;
+        }
+
+        if (!data || data.version !== KEY_BINDINGS_VERSION || typeof data.bindings !== 'object') {
+            console.warn('Stored key bindings have an unknown format and were ignored');
+            return;
+        }
+
+        INPUT_ACTIONS.forEach(({ action }) => {
+            const keys = data.bindings[action];
+            if (Array.isArray(keys) && keys.every(code => typeof code === 'string')) {
+                this.bindings[action] = keys.slice(0, BINDINGS_PER_ACTION);
+            }
+        });
+    }
+
+    /**
+     * Write bindings to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                version: KEY_BINDINGS_VERSION,
+                bindings: this.bindings
+            }));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error.message);
+        }
+    }
+
+    /**
+     * Get a readable name for a key
+     * @param {String} code - KeyboardEvent.code
+     * @returns {String} - Key name, e.g. 'A', 'Left Arrow', 'Space'
+     */
+    static getKeyLabel(code) {
+        if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+        if (/^Digit[0-9]$/.test(code)) return code.slice(5);
+        if (code.startsWith('Arrow')) return `${code.slice(5)} Arrow`;
+        if (code.startsWith('Numpad')) return `Numpad ${code.slice(6)}`;
+
+        // Split the remaining names into words, e.g. ShiftLeft -> Shift Left
+        return code.replace(/([a-z])([A-Z])/g, '$1 $2');
+    }
+
+    /**
+     * Handle a key press
+     * @private
+     */
+    _onKeyDown(e) {
+        if (this.capture) {
+            e.preventDefault();
+            const callback = this.capture;
+            this.capture = null;
+            callback(e.code);
+            return;
+        }
+
+        const action = this.getAction(e.code);
+        if (!action) return;
+
+        // Keep bound keys from scrolling the page
+        if (!this._isTyping(e)) {
+            e.preventDefault();
+        }
+
+        const wasDown = this.isDown(action);
+        this.pressedCodes.add(e.code);
+
+        if (!e.repeat) {
+            this._emitChange(action, wasDown, e);
+        }
+    }
+
+    /**
+     * Handle a key release
+     * @private
+     */
+    _onKeyUp(e) {
+        const action = this.getAction(e.code);
+        const wasDown = action && this.isDown(action);
+
+        this.pressedCodes.delete(e.code);
+
+        if (action) {
+            this._emitChange(action, wasDown, e);
+        }
+    }
+
+    /**
+     * Emit press or release when an action changes state
+     * @private
+     */
+    _emitChange(action, wasDown, event) {
+        const down = this.isDown(action);
+
+        if (down && !wasDown) {
+            this.events.emit('press', { action, event });
+        } else if (!down && wasDown) {
+            this.events.emit('release', { action, event });
+        }
+    }
+
+    /**
+     * Check whether a key event comes from a form field
+     * @private
+     */
+    _isTyping(e) {
+        return Boolean(e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT'));
+    }
+
+    /**
+     * Deep copy a bindings object
+     * @private
+     */
+    _copyBindings(bindings) {
+        const copy = {};
+        Object.keys(bindings).forEach(action => {
+            copy[action] = bindings[action].slice();
+        });
+        return copy;
+    }
+}
@@ -1,3 +1,10 @@
+/**
+ * What happens to the player when a moving platform squeezes them against
+ * solid geometry: take a hit and drop off the platform, or take a hit and
+ * go back to the last checkpoint. Crushed enemies are always defeated.
+ */
+const CRUSH_RULES = ['damage', 'reset'];
+
 /**
  * Platform class for the platformer game
  */
@@ -28,6 +35,8 @@ class Platform {
             this.vy = 0;
             this.prevX = x;
             this.prevY = y;
+            this.crush = options.crush || 'damage';   // One of CRUSH_RULES
+            this.riders = [];   // Entities standing on the platform, moved along with it
         }
         
         // For crumbling platforms
@@ -105,6 +114,27 @@ class Platform {
         }
     }
     
+    /**
+     * Start carrying an entity that landed on the platform
+     * @param {Object} entity - Player or enemy
+     */
+    addRider(entity) {
+        if (!this.riders.includes(entity)) {
+            this.riders.push(entity);
+        }
+    }
+    
+    /**
+     * Stop carrying an entity
+     * @param {Object} entity - Player or enemy
+     */
+    removeRider(entity) {
+        const index = this.riders.indexOf(entity);
+        if (index !== -1) {
+            this.riders.splice(index, 1);
+        }
+    }
+    
     /**
      * Draw platform on canvas
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -117,13 +147,24 @@ class Platform {
         
         ctx.save();
         
+        if (this.crumbling) {
+            ctx.globalAlpha = this.crumbleTimer / this.crumbleTime;
+        }
+        
+        // Tile the platform sprite for its type if the sheet loaded
+        const sheet = Sprites.get('platforms');
+        if (sheet) {
+            const kind = this.jumpThrough ? 'jumpThrough' : this.crumble ? 'crumble' : this.moving ? 'moving' : 'solid';
+            sheet.drawTiled(ctx, sheet.clips[kind].start, this.x - offsetX, this.y - offsetY, this.width, this.height);
+            ctx.restore();
+            return;
+        }
+        
         // Different styling based on platform type
         if (this.jumpThrough) {
             ctx.fillStyle = '#8BC34A';
         } else if (this.crumble) {
             if (this.crumbling) {
-                const alpha = this.crumbleTimer / this.crumbleTime;
-                ctx.globalAlpha = alpha;
                 ctx.fillStyle = '#CDDC39';
             } else {
                 ctx.fillStyle = '#FFC107';
@@ -157,11 +198,105 @@ class Platform {
     }
 }
 
+/**
+ * Slope class for ramps
+ *
+ * The walkable surface is the diagonal of the slope's box, so any line
+ * segment can be made from x, y, width and height. A slope that rises to
+ * the right runs from the bottom-left corner to the top-right one. Solid
+ * slopes fill the box below the surface. Jump-through slopes are only the
+ * surface, which entities can jump up through like jump-through platforms.
+ */
+class Slope {
+    constructor(x, y, width, height, options = {}) {
+        this.x = x;
+        this.y = y;
+        this.width = width;
+        this.height = height;
+        this.rises = options.rises || 'right';   // Side the surface is highest at
+        this.jumpThrough = options.jumpThrough || false;
+        this.color = options.color || '#4CAF50';
+    }
+
+    /**
+     * Get the height of the surface, clamped to the ends of the slope
+     * @param {Number} x - X position
+     * @returns {Number} - Y position of the surface
+     */
+    getSurfaceY(x) {
+        const t = Utils.clamp((x - this.x) / this.width, 0, 1);
+        return this.rises === 'right'
+            ? this.y + this.height * (1 - t)
+            : this.y + this.height * t;
+    }
+
+    /**
+     * Get how much the surface drops for each pixel to the right
+     * @returns {Number} - Negative when rising to the right
+     */
+    getGradient() {
+        return (this.rises === 'right' ? -1 : 1) * this.height / this.width;
+    }
+
+    /**
+     * Check whether an x position is over the slope
+     * @param {Number} x - X position
+     * @param {Number} margin - Distance past the ends that still counts
+     * @returns {Boolean} - True if between the ends
+     */
+    containsX(x, margin = 0) {
+        return x >= this.x - margin && x <= this.x + this.width + margin;
+    }
+
+    /**
+     * Draw slope on canvas
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Number} offsetX - Camera X offset
+     * @param {Number} offsetY - Camera Y offset
+     */
+    draw(ctx, offsetX = 0, offsetY = 0) {
+        const left = this.x - offsetX;
+        const right = left + this.width;
+        const leftY = this.getSurfaceY(this.x) - offsetY;
+        const rightY = this.getSurfaceY(this.x + this.width) - offsetY;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.moveTo(left, leftY);
+        ctx.lineTo(right, rightY);
+
+        if (this.jumpThrough) {
+            // A thin ramp styled like jump-through platforms
+            ctx.lineTo(right, rightY + 20);
+            ctx.lineTo(left, leftY + 20);
+            ctx.closePath();
+            ctx.fillStyle = '#8BC34A';
+            ctx.fill();
+
+            ctx.beginPath();
+            ctx.moveTo(left, leftY + 2.5);
+            ctx.lineTo(right, rightY + 2.5);
+            ctx.strokeStyle = '#689F38';
+            ctx.lineWidth = 5;
+            ctx.stroke();
+        } else {
+            const bottom = this.y + this.height - offsetY;
+            ctx.lineTo(right, bottom);
+            ctx.lineTo(left, bottom);
+            ctx.closePath();
+            ctx.fillStyle = this.color;
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+}
+
 /**
  * Collectible class for items like coins, gems, power-ups
  */
 class Collectible {
-    constructor(x, y, type = 'coin', value = 10) {
+    constructor(x, y, type = 'coin', value = 10, duration = undefined) {
         this.x = x;
         this.y = y;
         this.width = 20;
@@ -170,7 +305,13 @@ class Collectible {
         this.value = value;
         this.active = true;
         
-        // Animation properties
+        // Power-ups (see POWER_UPS) give an ability instead of points
+        this.powerUp = POWER_UPS[type] || null;
+        this.duration = duration;
+        
+        // Animation properties: the type's clip of the item sprite sheet,
+        // and a frame counter for the placeholder's shine
+        this.animator = new Animator('items', type);
         this.frame = 0;
         this.frameTime = 0;
         this.frameDuration = 100; // ms per frame
@@ -179,6 +320,7 @@ class Collectible {
         // Floating animation
         this.floatOffset = 0;
         this.floatSpeed = 1.5;
+        this.floatTime = 0;
         this.startY = y;
     }
     
@@ -190,6 +332,7 @@ class Collectible {
         if (!this.active) return;
         
         // Update animation frame
+        this.animator.update(deltaTime);
         this.frameTime += deltaTime;
         if (this.frameTime >= this.frameDuration) {
             this.frame = (this.frame + 1) % this.totalFrames;
@@ -197,7 +340,8 @@ class Collectible {
         }
         
         // Floating animation
-        this.floatOffset = Math.sin(performance.now() / 500 * this.floatSpeed) * 3;
+        this.floatTime += deltaTime;
+        this.floatOffset = Math.sin(this.floatTime / 500 * this.floatSpeed) * 3;
         this.y = this.startY + this.floatOffset;
     }
     
@@ -209,9 +353,16 @@ class Collectible {
      */
     draw(ctx, offsetX = 0, offsetY = 0) {
         if (!this.active) return;
+        if (this.animator.draw(ctx, this, offsetX, offsetY)) return;
         
         ctx.save();
         
+        if (this.powerUp) {
+            this._drawPowerUp(ctx, offsetX, offsetY);
+            ctx.restore();
+            return;
+        }
+        
         // Different styling based on collectible type
         switch (this.type) {
             case 'coin':
@@ -266,12 +417,51 @@ class Collectible {
         return Utils.checkCollision(this, player);
     }
     
+    /**
+     * Move towards a point (magnet power-up)
+     * @param {Number} x - Target X position
+     * @param {Number} y - Target Y position
+     * @param {Number} distance - Distance to move
+     */
+    pullTowards(x, y, distance) {
+        const dx = x - (this.x + this.width / 2);
+        const dy = y - (this.y + this.height / 2);
+        const length = Math.sqrt(dx * dx + dy * dy);
+        if (length === 0) return;
+        
+        const step = Math.min(distance, length);
+        this.x += dx / length * step;
+        this.y += dy / length * step;
+        this.startY += dy / length * step;
+    }
+    
     /**
      * Collect this item
      */
     collect() {
         this.active = false;
     }
+    
+    /**
+     * Draw a power-up as a colored box with its icon
+     * @private
+     */
+    _drawPowerUp(ctx, offsetX, offsetY) {
+        const x = this.x - offsetX;
+        const y = this.y - offsetY;
+        
+        ctx.fillStyle = this.powerUp.color;
+        ctx.fillRect(x, y, this.width, this.height);
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(x, y, this.width, this.height);
+        
+        ctx.fillStyle = 'white';
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.powerUp.icon, x + this.width / 2, y + this.height / 2 + 1);
+    }
 }
 
 /**
@@ -381,28 +571,50 @@ class Checkpoint {
     }
 }
 
+/**
+ * Kinds of level objects kept in a spatial hash (see Level.query)
+ */
+const SPATIAL_KINDS = ['platforms', 'slopes', 'collectibles', 'enemies', 'hazards', 'checkpoints'];
+
 /**
  * Level class to manage level elements
  */
 class Level {
     constructor(levelData) {
+        this.levelData = levelData;
+        this.id = levelData.id || null;
+        this.name = levelData.name || '';
         this.width = levelData.width || 3000;
         this.height = levelData.height || 1000;
         this.backgroundColor = levelData.backgroundColor || '#87CEEB';
         this.backgroundLayers = levelData.backgroundLayers || [];
+        this.music = levelData.music || 'music/level';   // Asset key of the music track
         
         // Level objects
         this.platforms = [];
+        this.slopes = [];
+        this.tilemap = null;
         this.collectibles = [];
         this.enemies = [];
         this.hazards = [];
         this.checkpoints = [];
+        this.cameraRegions = [];
+        this.projectiles = new ProjectilePool();
+        this.combat = new CombatSystem();
+        
+        // Spatial hash per kind of object, for collision queries and culling.
+        // Without it, queries return every object (used by the benchmark).
+        this.spatial = {};
+        this.useSpatialIndex = true;
         
         // Level properties
         this.spawnPoint = { x: 100, y: 400 };
         this.exitPoint = { x: this.width - 100, y: 400 };
         this.complete = false;
         
+        // Boss whose fight is in progress
+        this.activeBoss = null;
+        
         // Game stats
         this.totalCollectibles = 0;
         this.collectedCount = 0;
@@ -441,6 +653,26 @@ class Level {
             });
         }
         
+        // Load slopes
+        if (levelData.slopes) {
+            levelData.slopes.forEach(slopeData => {
+                this.slopes.push(
+                    new Slope(
+                        slopeData.x,
+                        slopeData.y,
+                        slopeData.width,
+                        slopeData.height,
+                        slopeData.options
+                    )
+                );
+            });
+        }
+        
+        // Load tile layers
+        if (levelData.tilemap) {
+            this.tilemap = new Tilemap(levelData.tilemap);
+        }
+        
         // Load collectibles
         if (levelData.collectibles) {
             levelData.collectibles.forEach(collectibleData => {
@@ -449,10 +681,15 @@ class Level {
                         collectibleData.x,
                         collectibleData.y,
                         collectibleData.type,
-                        collectibleData.value
+                        collectibleData.value,
+                        collectibleData.duration
                     )
                 );
-                this.totalCollectibles++;
+                
+                // Power-ups don't count towards the collectible percentage
+                if (!POWER_UPS[collectibleData.type]) {
+                    this.totalCollectibles++;
+                }
             });
         }
         
@@ -496,6 +733,26 @@ class Level {
                 );
             });
         }
+        
+        // Load camera regions
+        if (levelData.cameraRegions) {
+            levelData.cameraRegions.forEach(regionData => {
+                this.cameraRegions.push(new CameraRegion(regionData));
+            });
+        }
+        
+        this._buildSpatialIndex();
+    }
+    
+    /**
+     * File every level object in the spatial hash for its kind
+     * @private
+     */
+    _buildSpatialIndex() {
+        SPATIAL_KINDS.forEach(kind => {
+            this.spatial[kind] = new SpatialHash();
+            this[kind].forEach(object => this.spatial[kind].insert(object));
+        });
     }
     
     /**
@@ -507,15 +764,44 @@ class Level {
         // Update platforms (for moving/crumbling platforms)
         this.platforms.forEach(platform => {
             platform.update(deltaTime);
+            
+            if (platform.moving) {
+                this.spatial.platforms.update(platform);
+                this._carryRiders(platform, player);
+            }
         });
         
         // Update collectibles
+        const magnet = player.powerUps.isActive('magnet') ? POWER_UPS.magnet : null;
+        const playerCenterX = player.x + player.width / 2;
+        const playerCenterY = player.y + player.height / 2;
+        
         this.collectibles.forEach(collectible => {
             collectible.update(deltaTime);
+        });
+        
+        // Collectibles bob a few pixels around where they are filed
+        this.query('collectibles', player, (magnet ? magnet.radius : 0) + 4).forEach(collectible => {
+            // Magnet pulls nearby coins and gems to the player
+            if (magnet && collectible.active && !collectible.powerUp) {
+                const dx = collectible.x + collectible.width / 2 - playerCenterX;
+                const dy = collectible.y + collectible.height / 2 - playerCenterY;
+                
+                if (dx * dx + dy * dy < magnet.radius * magnet.radius) {
+                    collectible.pullTowards(playerCenterX, playerCenterY, magnet.pullSpeed * (deltaTime / 16.67));
+                    this.spatial.collectibles.update(collectible);
+                }
+            }
             
             // Check for player collision
             if (collectible.checkPlayerCollision(player)) {
                 collectible.collect();
+                
+                if (collectible.powerUp) {
+                    player.powerUps.add(collectible.type, collectible.duration);
+                    return;
+                }
+                
                 this.collectedCount++;
                 
                 // Emit event for score, sound effects, etc.
@@ -526,48 +812,51 @@ class Level {
             }
         });
         
-        // Update enemies and check collisions
+        // Update enemies
         this.enemies.forEach(enemy => {
-            enemy.update(deltaTime, player);
+            enemy.update(deltaTime, player, this);
             
-            // Apply physics to enemies if they need gravity
-            if (this.physics) {
-                this.physics.update(enemy, this.platforms, deltaTime);
+            // Apply physics to enemies that use it (flying enemies move themselves)
+            if (this.physics && enemy.usesPhysics) {
+                this.physics.update(enemy, this.getPlatformsNear(enemy), deltaTime, this.getSlopesNear(enemy));
             }
             
-            // Check for collision with player
-            if (enemy.checkPlayerCollision(player)) {
-                // Check if player is jumping on enemy (from above)
-                const playerBottom = player.y + player.height;
-                const enemyTop = enemy.y;
-                
-                if (player.vy > 0 && playerBottom < enemyTop + 20 && player.onGround === false) {
-                    // Player is stomping the enemy
-                    enemy.takeDamage(1);
-                    player.vy = -10; // Bounce up
-                    player.events.emit('killEnemy', { enemy });
-                } else {
-                    // Player takes damage from enemy
-                    player.takeDamage(enemy.damage, enemy.x < player.x ? 5 : -5);
-                }
-            }
+            this.spatial.enemies.update(enemy);
         });
         
+        // Attacks, stomps and enemies touching the player (the margin
+        // covers the player's attack reaching out in front)
+        this.combat.update(deltaTime, player, this.query('enemies', player, player.attackRange + 16));
+        
+        this._updateBossFights(player);
+        
+        // Move projectiles fired by enemies
+        this.projectiles.update(deltaTime, this, player);
+        
         // Check hazard collisions
-        this.hazards.forEach(hazard => {
+        this.query('hazards', player).forEach(hazard => {
             if (hazard.checkPlayerCollision(player)) {
                 player.takeDamage(hazard.damage);
             }
         });
         
+        // Hazard tiles hurt the same way
+        if (this.tilemap) {
+            const hazardTile = this.tilemap.getTiles(player).find(tile => tile.damage > 0);
+            if (hazardTile) {
+                player.takeDamage(hazardTile.damage);
+            }
+        }
+        
         // Check checkpoint collisions
-        this.checkpoints.forEach(checkpoint => {
+        this.query('checkpoints', player).forEach(checkpoint => {
             if (!checkpoint.active && checkpoint.checkPlayerCollision(player)) {
                 checkpoint.activate();
                 this.spawnPoint = { x: checkpoint.x, y: checkpoint.y };
                 
                 // Emit checkpoint reached event
-                player.events.emit('checkpoint');
+                const index = this.checkpoints.indexOf(checkpoint);
+                player.events.emit('checkpoint', { index, x: checkpoint.x, y: checkpoint.y });
             }
         });
         
@@ -579,12 +868,8 @@ class Level {
             height: 60
         };
         
-        if (Utils.checkCollision(player, exitRect)) {
-            this.complete = true;
-            player.events.emit('levelComplete', { 
-                collectibles: this.collectedCount,
-                total: this.totalCollectibles
-            });
+        if (this.isExitOpen() && Utils.checkCollision(player, exitRect)) {
+            this._completeLevel(player);
         }
         
         // Check if player is out of bounds (fell off the level)
@@ -594,22 +879,195 @@ class Level {
         }
     }
     
+    /**
+     * Move the entities standing on a moving platform along with it, and
+     * crush the ones it squeezes against solid geometry
+     * @private
+     */
+    _carryRiders(platform, player) {
+        if (!this.physics) return;
+        
+        // Crushed riders leave the platform, so loop over a copy
+        platform.riders.slice().forEach(rider => {
+            // Riders defeated or moved onto something else since they landed
+            if (rider.carrier !== platform || rider.active === false) {
+                platform.removeRider(rider);
+                return;
+            }
+            
+            const margin = Math.abs(platform.vx) + Math.abs(platform.vy) + 1;
+            if (this.physics.carry(rider, platform, this.getPlatformsNear(rider, margin))) {
+                this._crush(rider, platform, player);
+            }
+        });
+    }
+    
+    /**
+     * Handle an entity squeezed between a moving platform and solid
+     * geometry, following the platform's crush rule (see CRUSH_RULES)
+     * @private
+     */
+    _crush(entity, platform, player) {
+        platform.removeRider(entity);
+        entity.carrier = null;
+        
+        if (entity !== player) {
+            entity.die();
+            return;
+        }
+        
+        player.events.emit('crushed', { rule: platform.crush });
+        player.takeDamage(1, 0, 0);
+        
+        if (platform.crush === 'reset') {
+            // Back to the last checkpoint, keeping health and power-ups
+            player.x = this.spawnPoint.x;
+            player.y = this.spawnPoint.y;
+            player.prevRenderX = player.x;
+            player.prevRenderY = player.y;
+            player.vx = 0;
+            player.vy = 0;
+            player.onGround = false;
+        } else {
+            // Drop out from under the platform
+            player.y = platform.y + platform.height;
+            player.vy = 0;
+        }
+    }
+    
+    /**
+     * Find level objects of one kind in or near an area
+     * @param {String} kind - One of SPATIAL_KINDS, e.g. 'enemies'
+     * @param {Object} area - Entity or {x, y, width, height}
+     * @param {Number} margin - Extra distance around the area
+     * @returns {Array} - Objects in level order; may include some just outside the area
+     */
+    query(kind, area, margin = 0) {
+        if (!this.useSpatialIndex) return this[kind];
+        
+        return this.spatial[kind].query(area, margin);
+    }
+    
+    /**
+     * Get the platforms an entity or area may touch, including solid tiles
+     * @param {Object} area - Entity or {x, y, width, height}
+     * @param {Number} margin - Extra distance around the area (see _getStepMargin)
+     * @returns {Array} - Platforms and tile colliders
+     */
+    getPlatformsNear(area, margin = this._getStepMargin(area)) {
+        const platforms = this.query('platforms', area, margin);
+        if (!this.tilemap) return platforms;
+        
+        return platforms.concat(this.tilemap.getColliders(area, margin));
+    }
+    
+    /**
+     * Get the slopes an entity or area may touch
+     * @param {Object} area - Entity or {x, y, width, height}
+     * @param {Number} margin - Extra distance around the area (see _getStepMargin)
+     * @returns {Array} - Slopes
+     */
+    getSlopesNear(area, margin = this._getStepMargin(area)) {
+        return this.query('slopes', area, margin);
+    }
+    
+    /**
+     * Get how far around an entity to look for things it may collide with
+     * this step: as far as it moves, plus its width for slopes that pull it
+     * down and walls next to it
+     * @private
+     */
+    _getStepMargin(area) {
+        return Math.abs(area.vx || 0) + Math.abs(area.vy || 0) + (area.width || 0) + 16;
+    }
+    
+    /**
+     * Check whether the exit can be used
+     * @returns {Boolean} - False while a boss that completes the level is alive
+     */
+    isExitOpen() {
+        return !this.enemies.some(enemy => enemy instanceof Boss && enemy.completesLevel && enemy.active);
+    }
+    
+    /**
+     * Start boss fights when the player enters an arena, keep the player
+     * inside it during the fight and handle the boss's defeat
+     * @private
+     */
+    _updateBossFights(player) {
+        this.enemies.forEach(enemy => {
+            if (!(enemy instanceof Boss) || !enemy.active || enemy.fightStarted) return;
+            
+            if (Utils.checkCollision(player, enemy.arena)) {
+                enemy.startFight();
+                enemy.lastPhase = enemy.phaseIndex;
+                this.activeBoss = enemy;
+                player.events.emit('bossStart', { boss: enemy });
+            }
+        });
+        
+        const boss = this.activeBoss;
+        if (!boss) return;
+        
+        if (boss.phaseIndex !== boss.lastPhase) {
+            boss.lastPhase = boss.phaseIndex;
+            player.events.emit('bossPhase', { boss, phase: boss.phaseIndex });
+        }
+        
+        if (!boss.active) {
+            this.activeBoss = null;
+            this.projectiles.clear(boss);
+            player.events.emit('bossDefeated', { boss });
+            
+            if (boss.completesLevel) {
+                this._completeLevel(player);
+            }
+            return;
+        }
+        
+        // Walls of the arena
+        const arena = boss.arena;
+        if (player.x < arena.x) {
+            player.x = arena.x;
+            player.vx = Math.max(player.vx, 0);
+        } else if (player.x + player.width > arena.x + arena.width) {
+            player.x = arena.x + arena.width - player.width;
+            player.vx = Math.min(player.vx, 0);
+        }
+    }
+    
+    /**
+     * Finish the level
+     * @private
+     */
+    _completeLevel(player) {
+        this.complete = true;
+        player.events.emit('levelComplete', { 
+            collectibles: this.collectedCount,
+            total: this.totalCollectibles
+        });
+    }
+    
     /**
      * Draw level elements
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {Number} offsetX - Camera X offset
      * @param {Number} offsetY - Camera Y offset
+     * @param {Number} alpha - Render interpolation between simulation steps (0 to 1)
+     * @param {Number} zoom - Scale the context is drawing at, to size the view
      */
-    draw(ctx, offsetX = 0, offsetY = 0) {
+    draw(ctx, offsetX = 0, offsetY = 0, alpha = 1, zoom = 1) {
+        const view = { x: offsetX, y: offsetY, width: ctx.canvas.width / zoom, height: ctx.canvas.height / zoom };
+        
         // Draw background
         ctx.fillStyle = this.backgroundColor;
-        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        ctx.fillRect(0, 0, view.width, view.height);
         
         // Draw background layers (parallax scrolling)
-        this._drawBackgroundLayers(ctx, offsetX, offsetY);
+        this._drawBackgroundLayers(ctx, view);
         
-        // Draw exit point marker
-        ctx.fillStyle = '#FFC107';
+        // Draw exit point marker, dimmed while a boss keeps it closed
+        ctx.fillStyle = this.isExitOpen() ? '#FFC107' : 'rgba(255, 193, 7, 0.3)';
         ctx.fillRect(
             this.exitPoint.x - 20 - offsetX, 
             this.exitPoint.y - 30 - offsetY, 
@@ -617,37 +1075,60 @@ class Level {
             60
         );
         
+        // Only draw what is on screen. The margin covers interpolation and
+        // details drawn outside objects' bounds, like enemy spikes.
+        const margin = 32;
+        
         // Draw collectibles
-        this.collectibles.forEach(collectible => {
+        this.query('collectibles', view, margin).forEach(collectible => {
             collectible.draw(ctx, offsetX, offsetY);
         });
         
+        // Draw tiles on screen
+        if (this.tilemap) {
+            this.tilemap.draw(ctx, offsetX, offsetY, zoom);
+        }
+        
         // Draw platforms
-        this.platforms.forEach(platform => {
-            platform.draw(ctx, offsetX, offsetY);
+        this.query('platforms', view, margin).forEach(platform => {
+            Utils.drawInterpolated(platform, alpha, () => platform.draw(ctx, offsetX, offsetY));
+        });
+        
+        // Draw slopes
+        this.query('slopes', view, margin).forEach(slope => {
+            slope.draw(ctx, offsetX, offsetY);
         });
         
         // Draw enemies
-        this.enemies.forEach(enemy => {
-            enemy.draw(ctx, offsetX, offsetY);
+        this.query('enemies', view, margin).forEach(enemy => {
+            Utils.drawInterpolated(enemy, alpha, () => {
+                enemy.draw(ctx, offsetX, offsetY);
+                enemy.drawSpikes(ctx, offsetX, offsetY);
+            });
         });
         
+        // Draw projectiles
+        this.projectiles.draw(ctx, offsetX, offsetY, alpha);
+        
         // Draw hazards
-        this.hazards.forEach(hazard => {
+        this.query('hazards', view, margin).forEach(hazard => {
             hazard.draw(ctx, offsetX, offsetY);
         });
         
         // Draw checkpoints
-        this.checkpoints.forEach(checkpoint => {
+        this.query('checkpoints', view, margin).forEach(checkpoint => {
             checkpoint.draw(ctx, offsetX, offsetY);
         });
+        
+        // Draw points scored against enemies
+        this.combat.draw(ctx, offsetX, offsetY);
     }
     
     /**
      * Draw background layers with parallax effect
      * @private
      */
-    _drawBackgroundLayers(ctx, offsetX, offsetY) {
+    _drawBackgroundLayers(ctx, view) {
         // Placeholder implementation
         // In a real game, you'd load and draw actual background images
         
@@ -656,12 +1137,12 @@ class Level {
         
         for (let i = 0; i < 5; i++) {
             const mountainWidth = 300;
-            const mountainX = ((i * 400) - (offsetX * 0.1)) % (ctx.canvas.width + 400) - 200;
+            const mountainX = ((i * 400) - (view.x * 0.1)) % (view.width + 400) - 200;
             
             ctx.beginPath();
-            ctx.moveTo(mountainX, ctx.canvas.height);
+            ctx.moveTo(mountainX, view.height);
             ctx.lineTo(mountainX + mountainWidth / 2, 200);
-            ctx.lineTo(mountainX + mountainWidth, ctx.canvas.height);
+            ctx.lineTo(mountainX + mountainWidth, view.height);
             ctx.fill();
         }
         
@@ -670,12 +1151,12 @@ class Level {
         
         for (let i = 0; i < 7; i++) {
             const hillWidth = 200;
-            const hillX = ((i * 250) - (offsetX * 0.3)) % (ctx.canvas.width + 250) - 150;
+            const hillX = ((i * 250) - (view.x * 0.3)) % (view.width + 250) - 150;
             
             ctx.beginPath();
-            ctx.moveTo(hillX, ctx.canvas.height);
+            ctx.moveTo(hillX, view.height);
             ctx.lineTo(hillX + hillWidth / 2, 300);
-            ctx.lineTo(hillX + hillWidth, ctx.canvas.height);
+            ctx.lineTo(hillX + hillWidth, view.height);
             ctx.fill();
         }
     }
@@ -688,6 +1169,65 @@ class Level {
         return { x: this.spawnPoint.x, y: this.spawnPoint.y };
     }
     
+    /**
+     * Store positions of moving objects before a simulation step,
+     * so drawing can interpolate between steps
+     */
+    savePreviousPositions() {
+        this.platforms.forEach(platform => {
+            if (platform.moving) {
+                platform.prevRenderX = platform.x;
+                platform.prevRenderY = platform.y;
+            }
+        });
+        
+        this.enemies.forEach(enemy => {
+            enemy.prevRenderX = enemy.x;
+            enemy.prevRenderY = enemy.y;
+        });
+        
+        this.projectiles.savePreviousPositions();
+    }
+    
+    /**
+     * Get what the player has cleared so far, to save with a checkpoint
+     * @returns {Object} - {collected, defeated}: indices of the collected
+     * items (power-ups aside) and of the defeated enemies
+     */
+    getProgress() {
+        return {
+            collected: this.collectibles.map((c, i) => (c.active || c.powerUp ? -1 : i)).filter(i => i >= 0),
+            defeated: this.enemies.map((enemy, i) => (enemy.active ? -1 : i)).filter(i => i >= 0)
+        };
+    }
+    
+    /**
+     * Restore a checkpoint reached earlier (e.g. from a saved game)
+     * @param {Number} index - Index of the checkpoint in the level
+     * @param {Object} progress - {collected, defeated} from getProgress when
+     * the checkpoint was reached, so nothing cleared before it scores twice
+     */
+    restoreCheckpoint(index, progress = null) {
+        const checkpoint = this.checkpoints[index];
+        if (!checkpoint) return;
+        
+        checkpoint.activate();
+        this.spawnPoint = { x: checkpoint.x, y: checkpoint.y };
+        
+        if (!progress) return;
+        
+        (progress.collected || []).forEach(i => {
+            const collectible = this.collectibles[i];
+            if (collectible && collectible.active && !collectible.powerUp) {
+                collectible.collect();
+                this.collectedCount++;
+            }
+        });
+        (progress.defeated || []).forEach(i => {
+            if (this.enemies[i]) this.enemies[i].die();
+        });
+    }
+    
     /**
      * Set physics system for the level
      * @param {Physics} physics - Physics system instance
@@ -701,32 +1241,45 @@ class Level {
      */
     reset() {
         this.complete = false;
+        this.activeBoss = null;
         this.collectedCount = 0;
+        this.totalCollectibles = 0;
         
-        // Reset collectibles
-        this.collectibles.forEach(collectible => {
-            collectible.active = true;
-        });
+        // Checkpoints move the spawn point, so restore the original
+        this.spawnPoint = this.levelData.spawnPoint || { x: 100, y: 400 };
+        this.exitPoint = this.levelData.exitPoint || { x: this.width - 100, y: 400 };
         
-        // Reset enemies
-        this.enemies.forEach((enemy, index) => {
-            const enemyData = this.levelData.enemies[index];
-            enemy.reset(enemyData.x, enemyData.y);
-        });
+        // Recreate every object from the level data, so timers, moving
+        // platforms and enemies start exactly as on the first load (replays
+        // depend on it)
+        this.platforms = [];
+        this.slopes = [];
+        this.tilemap = null;
+        this.collectibles = [];
+        this.enemies = [];
+        this.hazards = [];
+        this.checkpoints = [];
+        this.cameraRegions = [];
+        this.projectiles.clear();
+        this.combat.reset();
+        this._loadLevelData(this.levelData);
         
-        // Reset checkpoints
-        this.checkpoints.forEach(checkpoint => {
-            checkpoint.active = false;
-        });
+        // Don't interpolate from positions before the reset
+        this.savePreviousPositions();
     }
 }
 
 /**
- * Create a sample level
+ * Create the built-in sample level
+ * Used as a fallback when level files cannot be fetched (e.g. when
+ * index.html is opened straight from disk)
  * @returns {Level} - A sample level for testing
  */
 function createSampleLevel() {
     const levelData = {
+        version: 1,
+        id: '1-1',
+        name: 'Green Hills',
         width: 3000,
         height: 600,
         backgroundColor: '#87CEEB',
@@ -807,5 +1360,5 @@ function createSampleLevel() {
         ]
     };
     
-    return new Level(levelData);
+    return LevelLoader.fromData(levelData);
 } 
\ No newline at end of file
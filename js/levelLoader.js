@@ -0,0 +1,444 @@
+/**
+ * Level file format, validation and loading
+ *
+ * Level files are JSON documents describing everything a Level is built
+ * from. The `version` field identifies the format revision so older files
+ * can be detected and rejected (or migrated) instead of loading half-broken.
+ */
+
+/**
+ * Error thrown when a level file does not match the level format
+ */
+class LevelFormatError extends Error {
+    /**
+     * @param {String} message - Human readable description of the problem
+     * @param {String} path - Path to the offending value, e.g. "platforms[3].width"
+     */
+    constructor(message, path = '') {
+        super(message);
+        this.name = 'LevelFormatError';
+        this.path = path;
+    }
+}
+
+/**
+ * Schema describing the level format.
+ * Each rule has a `type` and optional constraints:
+ * required, min, gt (exclusive minimum), max, enum, items, properties.
+ */
+const LEVEL_SCHEMA = (() => {
+    const point = {
+        type: 'object',
+        properties: {
+            x: { type: 'number', required: true },
+            y: { type: 'number', required: true }
+        }
+    };
+
+    const platformOptions = {
+        type: 'object',
+        properties: {
+            color: { type: 'string' },
+            jumpThrough: { type: 'boolean' },
+            moving: { type: 'boolean' },
+            crumble: { type: 'boolean' },
+            invisible: { type: 'boolean' },
+            moveX: { type: 'number' },
+            moveY: { type: 'number' },
+            moveSpeed: { type: 'number', gt: 0 },
+            crush: { type: 'string', enum: CRUSH_RULES },
+            crumbleTime: { type: 'number', gt: 0 },
+            respawnTime: { type: 'number', min: 0 }
+        }
+    };
+
+    const enemyOptions = {
+        type: 'object',
+        properties: {
+            width: { type: 'number', gt: 0 },
+            height: { type: 'number', gt: 0 },
+            patrolDistance: { type: 'number', min: 0 },
+            stomp: { type: 'string', enum: STOMP_RULES },
+            
+            // Walkers, chasers and bats (see AIEnemy)
+            detectionRange: { type: 'number', gt: 0 },
+            speed: { type: 'number', gt: 0 },
+            amplitude: { type: 'number', min: 0 },
+            
+            // Turrets
+            fireRate: { type: 'number', gt: 0 },
+            aim: { type: 'string', enum: ['fixed', 'player'] },
+            angle: { type: 'number' },
+            range: { type: 'number', gt: 0 },
+            projectileSpeed: { type: 'number', gt: 0 },
+            projectileGravity: { type: 'number' },
+
+            // Bosses (see boss.js)
+            name: { type: 'string' },
+            health: { type: 'integer', gt: 0 },
+            arenaX: { type: 'number' },
+            arenaY: { type: 'number' },
+            arenaWidth: { type: 'number', gt: 0 },
+            arenaHeight: { type: 'number', gt: 0 },
+            completesLevel: { type: 'boolean' }
+        }
+    };
+
+    return {
+        type: 'object',
+        properties: {
+            version: { type: 'integer', required: true, min: 1 },
+            id: { type: 'string', required: true },
+            name: { type: 'string' },
+            width: { type: 'number', required: true, gt: 0 },
+            height: { type: 'number', required: true, gt: 0 },
+            backgroundColor: { type: 'string' },
+            backgroundLayers: { type: 'array', items: { type: 'object', properties: {} } },
+            music: { type: 'string' },
+            spawnPoint: Object.assign({ required: true }, point),
+            exitPoint: Object.assign({ required: true }, point),
+            platforms: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        x: { type: 'number', required: true },
+                        y: { type: 'number', required: true },
+                        width: { type: 'number', required: true, gt: 0 },
+                        height: { type: 'number', required: true, gt: 0 },
+                        options: platformOptions
+                    }
+                }
+            },
+            slopes: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        x: { type: 'number', required: true },
+                        y: { type: 'number', required: true },
+                        width: { type: 'number', required: true, gt: 0 },
+                        height: { type: 'number', required: true, gt: 0 },
+                        options: {
+                            type: 'object',
+                            properties: {
+                                rises: { type: 'string', enum: ['right', 'left'] },
+                                jumpThrough: { type: 'boolean' },
+                                color: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            },
+            tilemap: {
+                type: 'object',
+                properties: {
+                    tileSize: { type: 'number', required: true, gt: 0 },
+                    columns: { type: 'integer', required: true, gt: 0 },
+                    rows: { type: 'integer', required: true, gt: 0 },
+                    x: { type: 'number' },
+                    y: { type: 'number' },
+                    tileset: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                id: { type: 'integer', required: true, gt: 0 },
+                                type: { type: 'string', required: true, enum: Object.keys(TILE_TYPES) },
+                                color: { type: 'string' },
+                                damage: { type: 'number', min: 0 }
+                            }
+                        }
+                    },
+                    layers: {
+                        type: 'array',
+                        required: true,
+                        items: {
+                            type: 'object',
+                            properties: {
+                                name: { type: 'string' },
+                                data: { type: 'array', required: true, items: { type: 'array', items: { type: 'integer', min: 0 } } }
+                            }
+                        }
+                    }
+                }
+            },
+            collectibles: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        x: { type: 'number', required: true },
+                        y: { type: 'number', required: true },
+                        type: { type: 'string', enum: ['coin', 'gem', 'health'].concat(Object.keys(POWER_UPS)) },
+                        value: { type: 'number', min: 0 },
+                        duration: { type: 'number', gt: 0 }
+                    }
+                }
+            },
+            enemies: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        type: { type: 'string', required: true, enum: ['patrol', 'jumper', 'walker', 'chaser', 'bat', 'turret', 'boss'] },
+                        x: { type: 'number', required: true },
+                        y: { type: 'number', required: true },
+                        options: enemyOptions
+                    }
+                }
+            },
+            hazards: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        x: { type: 'number', required: true },
+                        y: { type: 'number', required: true },
+                        width: { type: 'number', required: true, gt: 0 },
+                        height: { type: 'number', required: true, gt: 0 },
+                        damage: { type: 'integer', min: 0 }
+                    }
+                }
+            },
+            checkpoints: {
+                type: 'array',
+                items: point
+            },
+            cameraRegions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        x: { type: 'number', required: true },
+                        y: { type: 'number', required: true },
+                        width: { type: 'number', required: true, gt: 0 },
+                        height: { type: 'number', required: true, gt: 0 },
+                        mode: { type: 'string', enum: CAMERA_REGION_MODES },
+                        zoom: { type: 'number', gt: 0 }
+                    }
+                }
+            }
+        }
+    };
+})();
+
+const LevelLoader = {
+    /**
+     * Current level format version
+     */
+    FORMAT_VERSION: 1,
+
+    /**
+     * Validate level data against the level format
+     * @param {Object} data - Parsed level data
+     * @returns {Object} - The same data, if valid
+     * @throws {LevelFormatError} - Describes the first problem found
+     */
+    validate: (data) => {
+        LevelLoader.validateSchema(data, LEVEL_SCHEMA);
+
+        if (data.version > LevelLoader.FORMAT_VERSION) {
+            throw new LevelFormatError(
+                `version ${data.version} is newer than the supported level format (${LevelLoader.FORMAT_VERSION})`,
+                'version'
+            );
+        }
+
+        // Points must lie inside the level
+        ['spawnPoint', 'exitPoint'].forEach(key => {
+            const point = data[key];
+            if (point.x < 0 || point.x > data.width) {
+                throw new LevelFormatError(`${key}.x must be between 0 and width (${data.width})`, `${key}.x`);
+            }
+            if (point.y < 0 || point.y > data.height) {
+                throw new LevelFormatError(`${key}.y must be between 0 and height (${data.height})`, `${key}.y`);
+            }
+        });
+
+        if (data.tilemap) {
+            LevelLoader._validateTilemap(data.tilemap);
+        }
+
+        return data;
+    },
+
+    /**
+     * Validate any data against a schema written in the LEVEL_SCHEMA style
+     * @param {Object} data - Parsed data
+     * @param {Object} schema - Schema rule for the root value
+     * @returns {Object} - The same data, if valid
+     * @throws {LevelFormatError} - Describes the first problem found
+     */
+    validateSchema: (data, schema) => {
+        LevelLoader._validateValue(data, schema, '');
+        return data;
+    },
+
+    /**
+     * Create a level from already parsed data
+     * @param {Object} data - Level data
+     * @returns {Level} - Level instance
+     */
+    fromData: (data) => {
+        return new Level(LevelLoader.validate(data));
+    },
+
+    /**
+     * Create a level from a JSON string
+     * @param {String} text - JSON level file contents
+     * @returns {Level} - Level instance
+     */
+    parse: (text) => {
+        let data;
+
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new LevelFormatError(`Invalid JSON: ${error.message}`);
+        }
+
+        return LevelLoader.fromData(data);
+    },
+
+    /**
+     * Fetch and load a level file
+     * @param {String} path - URL of the level file
+     * @returns {Promise<Level>} - Resolves with the loaded level
+     */
+    load: (path) => {
+        return fetch(path)
+            .then(response => {
+                if (!response.ok) {
+                    throw new HttpError(`Failed to load level: ${path} (${response.status})`, response.status);
+                }
+                return response.text();
+            })
+            .then(text => {
+                try {
+                    return LevelLoader.parse(text);
+                } catch (error) {
+                    if (error instanceof LevelFormatError) {
+                        error.message = `${path}: ${error.message}`;
+                    }
+                    throw error;
+                }
+            });
+    },
+
+    /**
+     * Check that every tile layer fills the grid with known tile IDs
+     * @private
+     */
+    _validateTilemap: (tilemap) => {
+        const ids = (tilemap.tileset || DEFAULT_TILESET).map(entry => entry.id);
+
+        tilemap.layers.forEach((layer, layerIndex) => {
+            const path = `tilemap.layers[${layerIndex}].data`;
+
+            if (layer.data.length !== tilemap.rows) {
+                throw new LevelFormatError(`${path} must have ${tilemap.rows} rows`, path);
+            }
+
+            layer.data.forEach((row, rowIndex) => {
+                if (row.length !== tilemap.columns) {
+                    throw new LevelFormatError(`${path}[${rowIndex}] must have ${tilemap.columns} columns`, `${path}[${rowIndex}]`);
+                }
+
+                row.forEach((id, column) => {
+                    if (id !== 0 && !ids.includes(id)) {
+                        throw new LevelFormatError(`${path}[${rowIndex}][${column}] is not a tile ID in the tileset`, `${path}[${rowIndex}][${column}]`);
+                    }
+                });
+            });
+        });
+    },
+
+    /**
+     * Validate a single value against a schema rule
+     * @private
+     */
+    _validateValue: (value, rule, path) => {
+        const name = path || 'level';
+
+        switch (rule.type) {
+            case 'number':
+            case 'integer':
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    throw new LevelFormatError(`${name} must be a number`, path);
+                }
+                if (rule.type === 'integer' && !Number.isInteger(value)) {
+                    throw new LevelFormatError(`${name} must be an integer`, path);
+                }
+                if (rule.gt !== undefined && !(value > rule.gt)) {
+                    throw new LevelFormatError(`${name} must be > ${rule.gt}`, path);
+                }
+                if (rule.min !== undefined && value < rule.min) {
+                    throw new LevelFormatError(`${name} must be >= ${rule.min}`, path);
+                }
+                if (rule.max !== undefined && value > rule.max) {
+                    throw new LevelFormatError(`${name} must be <= ${rule.max}`, path);
+                }
+                break;
+
+            case 'string':
+                if (typeof value !== 'string') {
+                    throw new LevelFormatError(`${name} must be a string`, path);
+                }
+                break;
+
+            case 'boolean':
+                if (typeof value !== 'boolean') {
+                    throw new LevelFormatError(`${name} must be true or false`, path);
+                }
+                break;
+
+            case 'array':
+                if (!Array.isArray(value)) {
+                    throw new LevelFormatError(`${name} must be an array`, path);
+                }
+                value.forEach((item, index) => {
+                    LevelLoader._validateValue(item, rule.items, `${path}[${index}]`);
+                });
+                break;
+
+            case 'object':
+                if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+                    throw new LevelFormatError(`${name} must be an object`, path);
+                }
+                LevelLoader._validateProperties(value, rule.properties, path);
+                break;
+        }
+
+        if (rule.enum && !rule.enum.includes(value)) {
+            throw new LevelFormatError(`${name} must be one of: ${rule.enum.join(', ')}`, path);
+        }
+    },
+
+    /**
+     * Validate the properties of an object, rejecting unknown keys
+     * @private
+     */
+    _validateProperties: (object, properties, path) => {
+        const prefix = path ? `${path}.` : '';
+
+        Object.entries(properties).forEach(([key, rule]) => {
+            if (object[key] === undefined) {
+                if (rule.required) {
+                    throw new LevelFormatError(`${prefix}${key} is required`, prefix + key);
+                }
+                return;
+            }
+            LevelLoader._validateValue(object[key], rule, prefix + key);
+        });
+
+        // Unknown keys are almost always typos, so catch them early
+        if (Object.keys(properties).length > 0) {
+            Object.keys(object).forEach(key => {
+                if (!(key in properties)) {
+                    throw new LevelFormatError(`${prefix}${key} is not a recognized property`, prefix + key);
+                }
+            });
+        }
+    }
+};
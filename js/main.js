@@ -6,11 +6,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     const game = new Game('gameCanvas');
     await game.init();
     
-    // Handle keyboard shortcuts
-    window.addEventListener('keydown', (e) => {
-        switch (e.key) {
-            case 'p':
-            case 'P':
+    // Handle input actions that control the game rather than the player
+    game.input.events.on('press', ({ action, event }) => {
+        // Ignore shortcuts while typing in the editor panel
+        if (event && event.target && (event.target.tagName === 'INPUT' || event.target.tagName === 'SELECT')) return;
+        
+        switch (action) {
+            case 'pause':
                 // Toggle pause
                 if (game.currentState === 'playing') {
                     if (game.paused) {
@@ -21,23 +23,44 @@ document.addEventListener('DOMContentLoaded', async () => {
                 }
                 break;
                 
-            case 'r':
-            case 'R':
+            case 'restart':
                 // Quick restart
-                if (game.currentState === 'playing' || game.currentState === 'gameOver') {
-                    game.startGame();
+                if (game.editor.testing) {
+                    game.playTestEditorLevel();
+                } else if (game.currentState === 'playing' || game.currentState === 'gameOver') {
+                    game.startGame(game.currentLevelIndex);
                 }
                 break;
                 
-            case 'Escape':
-                // Go to main menu
-                if (game.currentState === 'playing') {
+            case 'menu':
+                // Leave play-test, the editor, or the game
+                if (game.editor.testing) {
+                    game.openEditor();
+                } else if (game.currentState === 'editor') {
+                    game.closeEditor();
+                } else if (game.currentState === 'playing') {
                     game._showMainMenu();
                 }
                 break;
         }
     });
     
+    // Developer shortcuts; the tuning panel needs index.html?debug
+    const debug = new URLSearchParams(window.location.search).has('debug');
+    window.addEventListener('keydown', (e) => {
+        if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT')) return;
+        
+        // Switch between editing and play-testing
+        if (e.code === 'KeyE' && (game.currentState === 'editor' || game.editor.testing)) {
+            game.editor.toggleTest();
+        }
+        
+        // Show the live tuning panel
+        if (debug && e.code === 'Backquote') {
+            game.tuningPanel.toggle();
+        }
+    });
+    
     // Handle window focus/blur events
     window.addEventListener('blur', () => {
         // Auto-pause when window loses focus
@@ -60,6 +83,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Additional responsive UI adjustments can be added here
     });
     
+    // Collision and drawing benchmark: index.html?benchmark
+    if (new URLSearchParams(window.location.search).has('benchmark')) {
+        const results = await Benchmark.run(game.ctx);
+        Benchmark.show(results);
+    }
+    
     console.log('Game setup complete!');
 });
 
@@ -80,6 +109,7 @@ function setupTouchControls(game) {
             <button id="right-btn">→</button>
         </div>
         <div class="action-buttons">
+            <button id="attack-btn">Attack</button>
             <button id="jump-btn">Jump</button>
         </div>
     `;
@@ -92,29 +122,38 @@ function setupTouchControls(game) {
     const leftBtn = document.getElementById('left-btn');
     const rightBtn = document.getElementById('right-btn');
     const jumpBtn = document.getElementById('jump-btn');
+    const attackBtn = document.getElementById('attack-btn');
     
     // Left button
     leftBtn.addEventListener('touchstart', () => {
-        game.player.keys.left = true;
+        game.input.setAction('touch', 'moveLeft', true);
     });
     leftBtn.addEventListener('touchend', () => {
-        game.player.keys.left = false;
+        game.input.setAction('touch', 'moveLeft', false);
     });
     
     // Right button
     rightBtn.addEventListener('touchstart', () => {
-        game.player.keys.right = true;
+        game.input.setAction('touch', 'moveRight', true);
     });
     rightBtn.addEventListener('touchend', () => {
-        game.player.keys.right = false;
+        game.input.setAction('touch', 'moveRight', false);
     });
     
     // Jump button
     jumpBtn.addEventListener('touchstart', () => {
-        game.player.keys.jump = true;
+        game.input.setAction('touch', 'jump', true);
     });
     jumpBtn.addEventListener('touchend', () => {
-        game.player.keys.jump = false;
+        game.input.setAction('touch', 'jump', false);
+    });
+    
+    // Attack button
+    attackBtn.addEventListener('touchstart', () => {
+        game.input.setAction('touch', 'attack', true);
+    });
+    attackBtn.addEventListener('touchend', () => {
+        game.input.setAction('touch', 'attack', false);
     });
     
     // Add touch control styles
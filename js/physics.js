@@ -6,6 +6,9 @@ class Physics {
         this.gravity = gravity;
         this.friction = friction; // Ground friction
         this.airResistance = airResistance; // Air resistance
+
+        // Where a platform was before its last move, reused for every sweep
+        this.sweepTarget = { x: 0, y: 0, width: 0, height: 0 };
     }
 
     /**
@@ -13,12 +16,14 @@ class Physics {
      * @param {Object} entity - The entity to update
      * @param {Array} platforms - List of platforms to check for collisions
      * @param {Number} deltaTime - Time since last frame in milliseconds
+     * @param {Array} slopes - List of slopes to walk on
      */
-    update(entity, platforms, deltaTime) {
+    update(entity, platforms, deltaTime, slopes = []) {
         const timeScale = deltaTime / (1000 / 60); // Scale physics to 60 FPS
 
-        // Apply gravity
-        entity.vy += this.gravity * timeScale;
+        // Apply gravity, scaled per entity (e.g. the player's apex hang and fall gravity)
+        const gravityScale = entity.gravityScale !== undefined ? entity.gravityScale : 1;
+        entity.vy += this.gravity * gravityScale * timeScale;
 
         // Apply air resistance
         if (!entity.onGround) {
@@ -29,15 +34,25 @@ class Physics {
         const prevX = entity.x;
         const prevY = entity.y;
 
-        // Update position based on velocity
-        entity.x += entity.vx * timeScale;
-        entity.y += entity.vy * timeScale;
-
         // Reset ground state
+        const wasOnGround = entity.onGround;
         entity.onGround = false;
 
-        // Check for collisions with platforms
-        this._handlePlatformCollisions(entity, platforms, prevX, prevY);
+        // Move one axis at a time, stopping at the first platform in the way,
+        // so fast entities can't pass through thin platforms
+        this._moveX(entity, platforms, entity.vx * timeScale);
+        const contactY = this._moveY(entity, platforms, entity.vy * timeScale);
+        const pushedOnto = this._separateFromPlatforms(entity, platforms);
+
+        // Ride the moving platform the entity stands on
+        const ground = pushedOnto || (contactY && contactY.normalY < 0 ? contactY.platform : null);
+        this._setCarrier(entity, ground && ground.moving ? ground : null);
+
+        // Check for collisions with slopes
+        this._handleSlopeCollisions(entity, slopes, prevX, prevY, wasOnGround, timeScale);
+
+        // Check for walls next to the entity
+        entity.onWall = this._getWallContact(entity, platforms);
 
         // Apply ground friction
         if (entity.onGround) {
@@ -49,67 +64,307 @@ class Physics {
             }
         }
 
-        // Terminal velocity
-        const terminalVelocity = 12;
+        // Terminal velocity, which the entity may lower (e.g. the player sliding down a wall)
+        const terminalVelocity = entity.fallSpeedLimit || 12;
         if (entity.vy > terminalVelocity) {
             entity.vy = terminalVelocity;
         }
     }
 
     /**
-     * Handle collisions between entity and platforms
+     * Move an entity standing on a moving platform by the platform's last
+     * move, stopping against solid geometry in the way
+     * @param {Object} entity - Entity riding the platform
+     * @param {Platform} platform - Platform that moved
+     * @param {Array} platforms - Platforms around the entity
+     * @returns {Boolean} - True if the entity was squeezed against solid
+     * geometry, i.e. the platform moved up into it
+     */
+    carry(entity, platform, platforms) {
+        const contactX = this._sweep(entity, platforms, 'x', platform.vx, platform);
+        if (contactX) {
+            // Scraped off by a wall while the platform slides on underneath
+            entity.x = contactX.normalX < 0 ? contactX.platform.x - entity.width : contactX.platform.x + contactX.platform.width;
+        } else {
+            entity.x += platform.vx;
+        }
+
+        const contactY = this._sweep(entity, platforms, 'y', platform.vy, platform);
+        if (!contactY) {
+            entity.y += platform.vy;
+            return false;
+        }
+
+        if (contactY.normalY < 0) {
+            entity.y = contactY.platform.y - entity.height;
+            return false;
+        }
+
+        entity.y = contactY.platform.y + contactY.platform.height;
+        return entity.y + entity.height > platform.y;
+    }
+
+    /**
+     * Move an entity horizontally, stopping against the first solid platform
+     * in the way, or stepping up onto it from a slope
+     * @returns {Object|null} - Contact with the platform hit (see _sweep)
      * @private
      */
-    _handlePlatformCollisions(entity, platforms, prevX, prevY) {
-        let onPlatform = false;
+    _moveX(entity, platforms, dx) {
+        const contact = this._sweep(entity, platforms, 'x', dx);
+        if (!contact) {
+            entity.x += dx;
+            return null;
+        }
+
+        const platform = contact.platform;
+
+        // Walking up a slope onto the platform at its top
+        if (this._canStepOnto(entity, platform)) {
+            entity.x += dx;
+            entity.y = platform.y - entity.height;
+            entity.vy = 0;
+            entity.onGround = true;
+            return contact;
+        }
+
+        entity.x = contact.normalX < 0 ? platform.x - entity.width : platform.x + platform.width;
+        entity.vx = 0;
+        return contact;
+    }
+
+    /**
+     * Move an entity vertically, landing on or bumping its head on the
+     * first platform in the way
+     * @returns {Object|null} - Contact with the platform hit (see _sweep)
+     * @private
+     */
+    _moveY(entity, platforms, dy) {
+        const contact = this._sweep(entity, platforms, 'y', dy);
+        if (!contact) {
+            entity.y += dy;
+            return null;
+        }
+
+        const platform = contact.platform;
+
+        if (contact.normalY < 0) {
+            this._land(entity, platform);
+        } else {
+            entity.y = platform.y + platform.height;
+            entity.vy = 0;
+        }
+        return contact;
+    }
+
+    /**
+     * Find the first platform an entity hits moving along one axis. Moving
+     * platforms are swept from where they were before their last move, with
+     * the entity moving relative to them, so a platform moving into the
+     * entity hits it too.
+     * @param {Object} entity - Entity at the start of the move
+     * @param {Array} platforms - Platforms to check
+     * @param {String} axis - 'x' or 'y'
+     * @param {Number} distance - Distance the entity moves along the axis
+     * @param {Object} ignore - Platform to leave out, e.g. the one carrying the entity
+     * @returns {Object|null} - {time, normalX, normalY, platform}: see Utils.sweepAABB
+     * @private
+     */
+    _sweep(entity, platforms, axis, distance, ignore = null) {
+        let first = null;
 
         for (const platform of platforms) {
-            // Skip if platform is a jump-through and entity is moving upward or is below platform
-            if (
-                platform.jumpThrough && 
-                (entity.vy < 0 || entity.y >= platform.y + platform.height)
-            ) {
-                continue;
+            // Crumbled platforms are gone until they respawn
+            if (platform.active === false || platform === ignore) continue;
+
+            // Riders have already been moved along with their platform
+            const carried = platform === entity.carrier;
+            const moveX = carried ? 0 : platform.vx || 0;
+            const moveY = carried ? 0 : platform.vy || 0;
+
+            // The entity has already moved horizontally when it moves vertically
+            const target = this.sweepTarget;
+            target.x = axis === 'x' ? platform.x - moveX : platform.x;
+            target.y = platform.y - moveY;
+            target.width = platform.width;
+            target.height = platform.height;
+
+            const contact = axis === 'x'
+                ? Utils.sweepAABB(entity, distance - moveX, 0, target)
+                : Utils.sweepAABB(entity, 0, distance - moveY, target);
+            if (!contact) continue;
+
+            // Jump-through platforms only block from above
+            if (platform.jumpThrough && contact.normalY !== -1) continue;
+
+            if (!first || contact.time < first.time) {
+                contact.platform = platform;
+                first = contact;
             }
+        }
 
-            // Check collision
-            if (Utils.checkCollision(entity, platform)) {
-                const collisionSide = Utils.getCollisionSide(entity, platform, entity.vx, entity.vy);
+        return first;
+    }
 
-                switch (collisionSide) {
-                    case "top":
+    /**
+     * Push an entity out of the solid platforms it still overlaps, e.g. when
+     * it started the step inside one, along the smallest overlap
+     * @returns {Object|null} - Platform the entity was pushed on top of
+     * @private
+     */
+    _separateFromPlatforms(entity, platforms) {
+        let pushedOnto = null;
+
+        for (const platform of platforms) {
+            if (platform.active === false || platform.jumpThrough || !Utils.checkCollision(entity, platform)) continue;
+
+            const collisionSide = Utils.getCollisionSide(entity, platform);
+
+            switch (collisionSide) {
+                case "top":
+                    this._land(entity, platform);
+                    pushedOnto = platform;
+                    break;
+
+                case "bottom":
+                    entity.y = platform.y + platform.height;
+                    entity.vy = 0;
+                    break;
+
+                case "left":
+                case "right":
+                    if (this._canStepOnto(entity, platform)) {
                         entity.y = platform.y - entity.height;
                         entity.vy = 0;
                         entity.onGround = true;
-                        onPlatform = true;
-                        
-                        // Handle moving platforms - transfer momentum
-                        if (platform.vx !== undefined) {
-                            entity.x += platform.vx;
-                        }
-                        
-                        // Handle disappearing platforms
-                        if (platform.crumble) {
-                            platform.startCrumbling();
-                        }
-                        break;
-                        
-                    case "bottom":
-                        entity.y = platform.y + platform.height;
-                        entity.vy = 0;
                         break;
-                        
-                    case "left":
-                        entity.x = platform.x - entity.width;
-                        entity.vx = 0;
-                        break;
-                        
-                    case "right":
-                        entity.x = platform.x + platform.width;
-                        entity.vx = 0;
-                        break;
-                }
+                    }
+
+                    entity.x = collisionSide === "left" ? platform.x - entity.width : platform.x + platform.width;
+                    entity.vx = 0;
+                    break;
+            }
+        }
+
+        return pushedOnto;
+    }
+
+    /**
+     * Register an entity as a rider of the moving platform it stands on, so
+     * the platform carries it, and leave the one it stood on before
+     * @private
+     */
+    _setCarrier(entity, platform) {
+        const carrier = entity.carrier || null;
+        if (carrier === platform) return;
+
+        if (carrier) {
+            carrier.removeRider(entity);
+        }
+        if (platform) {
+            platform.addRider(entity);
+        }
+        entity.carrier = platform;
+    }
+
+    /**
+     * Put an entity on top of a platform
+     * @private
+     */
+    _land(entity, platform) {
+        entity.y = platform.y - entity.height;
+        entity.vy = 0;
+        entity.onGround = true;
+
+        // Handle disappearing platforms
+        if (platform.crumble) {
+            platform.startCrumbling();
+        }
+    }
+
+    /**
+     * Handle entities standing on and bumping into slopes. Collisions use
+     * the point at the bottom center of the entity, so it sinks into the
+     * slope by up to half its width at the lower corner. Past the ends of a
+     * slope the entity's corner still rests on its tip, so the surface
+     * carries on flat for half the entity's width.
+     * @private
+     */
+    _handleSlopeCollisions(entity, slopes, prevX, prevY, wasOnGround, timeScale) {
+        // Standing on a platform that is higher than the slope
+        const onPlatform = entity.onGround;
+        entity.groundSlope = null;
+
+        const footX = entity.x + entity.width / 2;
+        const footY = entity.y + entity.height;
+        const prevFootX = prevX + entity.width / 2;
+        const prevFootY = prevY + entity.height;
+        const epsilon = 0.5;
+
+        for (const slope of slopes) {
+            if (!slope.containsX(footX, entity.width / 2)) continue;
+
+            const surfaceY = slope.getSurfaceY(footX);
+
+            // Land when the feet were on or above the surface before this step
+            const landing = entity.vy >= 0 && footY >= surfaceY &&
+                prevFootY <= slope.getSurfaceY(prevFootX) + epsilon;
+
+            // Follow the surface down instead of running off it (or off the
+            // platform at its top) into the air
+            const snapDistance = (Math.abs(entity.vx * timeScale) + entity.width / 2) *
+                Math.abs(slope.getGradient()) + epsilon;
+            const sticking = wasOnGround && !onPlatform && entity.vy >= 0 && footY < surfaceY &&
+                surfaceY - footY <= snapDistance;
+
+            if (landing || sticking) {
+                entity.y = surfaceY - entity.height;
+                entity.vy = 0;
+                entity.onGround = true;
+                entity.groundSlope = slope;
+                continue;
             }
+
+            // The flat underside of a solid slope blocks jumps from below
+            const bottom = slope.y + slope.height;
+            if (!slope.jumpThrough && entity.vy < 0 && entity.y < bottom && prevY >= bottom - epsilon) {
+                entity.y = bottom;
+                entity.vy = 0;
+            }
+        }
+    }
+
+    /**
+     * Check whether an entity that was walking on a slope can step up onto
+     * a platform it ran into, because the platform's top is level with the
+     * slope under the entity's front edge
+     * @private
+     */
+    _canStepOnto(entity, platform) {
+        if (!entity.groundSlope) return false;
+
+        const stepHeight = Math.abs(entity.groundSlope.getGradient()) * entity.width / 2 + 1;
+        return entity.y + entity.height - platform.y <= stepHeight;
+    }
+
+    /**
+     * Find a solid wall touching the side of the entity
+     * @returns {String|null} - 'left' or 'right' for the side of the entity the wall is on
+     * @private
+     */
+    _getWallContact(entity, platforms) {
+        const reach = 0.5;
+
+        for (const platform of platforms) {
+            if (platform.jumpThrough || platform.active === false) continue;
+
+            // Must overlap vertically
+            if (entity.y >= platform.y + platform.height || entity.y + entity.height <= platform.y) continue;
+
+            if (Math.abs(entity.x + entity.width - platform.x) <= reach) return 'right';
+            if (Math.abs(entity.x - (platform.x + platform.width)) <= reach) return 'left';
         }
+
+        return null;
     }
 } 
\ No newline at end of file
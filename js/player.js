@@ -1,3 +1,42 @@
+/**
+ * Player settings that can be changed live from the tuning panel
+ */
+const PLAYER_TUNING = [
+    { key: 'speed', label: 'Acceleration', min: 0.1, max: 1.5, step: 0.05 },
+    { key: 'maxSpeed', label: 'Max speed', min: 2, max: 12, step: 0.5 },
+    { key: 'jumpForce', label: 'Jump force', min: -20, max: -6, step: 0.5 },
+    { key: 'minJumpForce', label: 'Short jump force', min: -12, max: -2, step: 0.5 },
+    { key: 'jumpHoldTime', label: 'Jump hold (ms)', min: 0, max: 500, step: 10 },
+    { key: 'coyoteTime', label: 'Coyote time (ms)', min: 0, max: 300, step: 10 },
+    { key: 'jumpBufferTime', label: 'Jump buffer (ms)', min: 0, max: 300, step: 10 },
+    { key: 'apexThreshold', label: 'Apex speed', min: 0, max: 5, step: 0.1 },
+    { key: 'apexGravityMultiplier', label: 'Apex gravity', min: 0.1, max: 2, step: 0.05 },
+    { key: 'fallGravityMultiplier', label: 'Fall gravity', min: 0.5, max: 3, step: 0.05 },
+    { key: 'maxFallSpeed', label: 'Max fall speed', min: 4, max: 24, step: 0.5 },
+    { key: 'wallSlideSpeed', label: 'Wall slide speed', min: 0.5, max: 8, step: 0.25 },
+    { key: 'wallJumpForceX', label: 'Wall jump push', min: 2, max: 12, step: 0.5 },
+    { key: 'wallJumpForce', label: 'Wall jump force', min: -18, max: -4, step: 0.5 },
+    { key: 'wallJumpLockTime', label: 'Wall jump lock (ms)', min: 0, max: 400, step: 10 },
+    { key: 'dashSpeed', label: 'Attack dash speed', min: 0, max: 16, step: 0.5 },
+    { key: 'attackDuration', label: 'Attack time (ms)', min: 50, max: 400, step: 10 },
+    { key: 'attackCooldown', label: 'Attack cooldown (ms)', min: 50, max: 1000, step: 10 }
+];
+
+/**
+ * Colors the player is drawn in by state when the player sprite sheet
+ * isn't loaded
+ */
+const PLAYER_STATE_COLORS = {
+    idle: '#4a90e2',
+    running: '#5cb3fd',
+    jumping: '#3a7ab8',
+    falling: '#2c5d8a',
+    wallSliding: '#7b68ee',
+    wallJumping: '#9b8cff',
+    attacking: '#f39c12',
+    hurt: '#e74c3c'
+};
+
 /**
  * Player class for the platformer game
  */
@@ -20,58 +59,107 @@ class Player {
         this.minJumpForce = -6;    // Minimum jump velocity for short press
         this.jumpHoldTime = 200;   // Maximum time to hold jump in ms
         
+        // Jump feel
+        this.coyoteTime = 100;             // ms after leaving the ground that a jump is still allowed
+        this.jumpBufferTime = 120;         // ms a jump press is remembered before landing
+        this.apexThreshold = 1.5;          // Vertical speed below which the jump is at its apex
+        this.apexGravityMultiplier = 0.6;  // Gravity at the apex while jump is held (hang time)
+        this.fallGravityMultiplier = 1.2;  // Gravity while falling
+        this.maxFallSpeed = 12;            // Terminal velocity
+        this.gravityScale = 1;             // Gravity multiplier used by the physics this step
+        this.fallSpeedLimit = 12;          // Terminal velocity used by the physics this step
+        
+        // Wall movement
+        this.wallSlideSpeed = 2;           // Maximum fall speed while sliding down a wall
+        this.wallJumpForceX = 6;           // Horizontal push away from the wall
+        this.wallJumpForce = -10;          // Wall jump velocity
+        this.wallJumpLockTime = 150;       // ms horizontal input is ignored after a wall jump
+        
+        // Attack: a short dash with a hitbox in front of the player (see combat.js)
+        this.dashSpeed = 9;                // Horizontal speed during the attack
+        this.attackDuration = 180;         // ms the attack lasts
+        this.attackCooldown = 400;         // ms from the start of one attack to the next
+        this.attackRange = 28;             // Width of the attack hitbox
+        
+        // Part of the player enemies can hit, relative to x/y (a little smaller
+        // than the AABB so grazing hits don't count)
+        this.hurtbox = { x: 4, y: 6, width: width - 8, height: height - 8 };
+        
         // State flags
         this.onGround = false;
         this.jumping = false;
         this.jumpStartTime = 0;
+        this.lastGroundedTime = -Infinity; // Last time the player stood on the ground
+        this.jumpPressedTime = -Infinity;  // Last time jump was pressed, until the jump happens
+        this.jumpHeld = false;             // Jump key state on the previous step
+        this.onWall = null;                // Side a wall is touching ('left' or 'right'), set by the physics
+        this.carrier = null;               // Moving platform carrying the player, set by the physics
+        this.wallSliding = false;
+        this.wallJumpLockUntil = 0;        // Clock time until which horizontal input is ignored
+        this.airJumpsUsed = 0;             // Jumps made in the air with the double jump power-up
+        this.attackStartTime = -Infinity;  // Clock time the last attack started
+        this.attackHeld = false;           // Attack key state on the previous step
         this.facingRight = true;
         this.health = 3;
         this.maxHealth = 3;
+        this.startingMaxHealth = 3;        // Extra hearts raise maxHealth until the next reset
         this.invulnerable = false;
         this.invulnerableTimer = 0;
         this.invulnerableDuration = 1500; // ms
         
-        // Controls state
+        // Controls state, set every simulation step by the game from the input actions
         this.keys = {
             left: false,
             right: false,
-            jump: false
+            jump: false,
+            attack: false
         };
         
-        // Animation state
-        this.state = 'idle';       // idle, running, jumping, falling
-        this.frame = 0;
-        this.frameTime = 0;
-        this.frameDuration = 100;  // ms per frame
-        this.sprites = null;       // Will hold sprite sheets
+        // Simulation clock, injected by the game (see setClock)
+        this.clock = null;
         
-        // Setup input handlers
-        this._setupInputHandlers();
+        // Active power-ups
+        this.powerUps = new PowerUpManager(this);
         
         // Create event emitter for player events
         this.events = Utils.createEventEmitter();
+        
+        // Animation state, with one clip of the player sprite sheet per
+        // state. Frame events (e.g. footstep) are emitted as player events.
+        this.state = 'idle';       // idle, running, jumping, falling, wallSliding, wallJumping, attacking
+        this.animator = new Animator('player', 'idle', this.events);
     }
     
     /**
-     * Load player sprites
+     * Change player settings, e.g. from level data or the tuning panel
+     * @param {Object} config - Values for any of the PLAYER_TUNING keys
      */
-    async loadSprites() {
-        // For now, use colored rectangles as placeholders
-        // In a real game, you would load sprite sheets here
-        this.sprites = {
-            idle: '#4a90e2',
-            running: '#5cb3fd',
-            jumping: '#3a7ab8',
-            falling: '#2c5d8a',
-            hurt: '#e74c3c'
-        };
-        
-        // You would typically do something like:
-        // this.sprites = await Utils.loadAssets({
-        //     idle: 'assets/images/player/idle.png',
-        //     running: 'assets/images/player/running.png',
-        //     // etc.
-        // });
+    configure(config) {
+        PLAYER_TUNING.forEach(({ key }) => {
+            if (typeof config[key] === 'number') {
+                this[key] = config[key];
+            }
+        });
+    }
+    
+    /**
+     * Get the current player settings
+     * @returns {Object} - Values of the PLAYER_TUNING keys
+     */
+    getConfig() {
+        const config = {};
+        PLAYER_TUNING.forEach(({ key }) => {
+            config[key] = this[key];
+        });
+        return config;
+    }
+    
+    /**
+     * Set the clock used for gameplay timing
+     * @param {GameClock} clock - Game clock
+     */
+    setClock(clock) {
+        this.clock = clock;
     }
     
     /**
@@ -79,6 +167,9 @@ class Player {
      * @param {Number} deltaTime - Time since last frame in milliseconds
      */
     update(deltaTime) {
+        // Start attacks before movement, which the attack dash overrides
+        this._handleAttack();
+        
         // Handle movement based on key presses
         this._handleMovement(deltaTime);
         
@@ -88,6 +179,9 @@ class Player {
         // Update animation state
         this._updateAnimationState(deltaTime);
         
+        // Count down power-ups
+        this.powerUps.update(deltaTime);
+        
         // Handle invulnerability timer
         if (this.invulnerable) {
             this.invulnerableTimer -= deltaTime;
@@ -106,44 +200,103 @@ class Player {
     draw(ctx, offsetX = 0, offsetY = 0) {
         ctx.save();
         
-        // For simple placeholder graphics, use rectangles with colors
-        // In a real game, you would draw sprites based on the current animation frame
-        
-        if (this.invulnerable && Math.floor(performance.now() / 100) % 2) {
+        if (this.invulnerable && Math.floor(this.invulnerableTimer / 100) % 2) {
             // Flash when invulnerable
             ctx.globalAlpha = 0.5;
         }
         
-        ctx.fillStyle = this.sprites[this.state] || '#4a90e2';
+        // Sprite, or a rectangle colored by state if the sheet didn't load
+        if (!this.animator.draw(ctx, this, offsetX, offsetY, !this.facingRight)) {
+            this._drawPlaceholder(ctx, offsetX, offsetY);
+        }
+        
+        // Shield bubble
+        if (this.powerUps.isActive('shield')) {
+            ctx.strokeStyle = POWER_UPS.shield.color;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(
+                this.x - offsetX + this.width / 2,
+                this.y - offsetY + this.height / 2,
+                Math.max(this.width, this.height) * 0.7,
+                0,
+                Math.PI * 2
+            );
+            ctx.stroke();
+        }
+        
+        // Attack swipe
+        const attackBox = this.getAttackHitbox();
+        if (attackBox) {
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.fillRect(attackBox.x - offsetX, attackBox.y - offsetY, attackBox.width, attackBox.height);
+        }
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Draw the player as a rectangle colored by state, with a mark showing
+     * which way they face
+     * @private
+     */
+    _drawPlaceholder(ctx, offsetX, offsetY) {
+        ctx.fillStyle = PLAYER_STATE_COLORS[this.state] || PLAYER_STATE_COLORS.idle;
         ctx.fillRect(this.x - offsetX, this.y - offsetY, this.width, this.height);
         
-        // Draw a small indicator for direction
+        ctx.fillStyle = 'white';
         if (this.facingRight) {
-            ctx.fillStyle = 'white';
             ctx.fillRect(this.x - offsetX + this.width - 8, this.y - offsetY + 10, 6, 6);
         } else {
-            ctx.fillStyle = 'white';
             ctx.fillRect(this.x - offsetX + 2, this.y - offsetY + 10, 6, 6);
         }
+    }
+    
+    /**
+     * Check whether an attack is in progress
+     * @returns {Boolean} - True during the attack
+     */
+    isAttacking() {
+        return this.clock !== null && this.clock.now() < this.attackStartTime + this.attackDuration;
+    }
+    
+    /**
+     * Get the area the player's attack hits
+     * @returns {Object|null} - {x, y, width, height} in front of the player, or null when not attacking
+     */
+    getAttackHitbox() {
+        if (!this.isAttacking()) return null;
         
-        ctx.restore();
+        return {
+            x: this.facingRight ? this.x + this.width : this.x - this.attackRange,
+            y: this.y + 8,
+            width: this.attackRange,
+            height: this.height - 16
+        };
     }
     
     /**
      * Make player take damage
      * @param {Number} amount - Amount of damage to take
-     * @param {Number} knockbackX - Horizontal knockback force
+     * @param {Number} knockbackX - Horizontal knockback force (positive pushes right)
      * @param {Number} knockbackY - Vertical knockback force
      */
     takeDamage(amount = 1, knockbackX = 0, knockbackY = -5) {
         if (this.invulnerable) return;
         
+        // A shield blocks the hit, with a moment of invulnerability so it only takes one charge
+        if (this.powerUps.absorbHit()) {
+            this.invulnerable = true;
+            this.invulnerableTimer = this.invulnerableDuration;
+            return;
+        }
+        
         this.health -= amount;
         this.invulnerable = true;
         this.invulnerableTimer = this.invulnerableDuration;
         
         // Apply knockback
-        this.vx = knockbackX * (this.facingRight ? -1 : 1); // Knockback opposite to facing direction
+        this.vx = knockbackX;
         this.vy = knockbackY;
         
         // Emit damage event
@@ -168,14 +321,53 @@ class Player {
      * @param {Number} y - Y position to reset to
      */
     reset(x, y) {
+        if (this.carrier) {
+            this.carrier.removeRider(this);
+        }
+        this.carrier = null;
         this.x = x;
         this.y = y;
+        this.prevRenderX = x;
+        this.prevRenderY = y;
         this.vx = 0;
         this.vy = 0;
+        this.onGround = false;
+        this.jumping = false;
+        this.jumpStartTime = 0;
+        this.lastGroundedTime = -Infinity;
+        this.jumpPressedTime = -Infinity;
+        this.jumpHeld = false;
+        this.gravityScale = 1;
+        this.fallSpeedLimit = this.maxFallSpeed;
+        this.onWall = null;
+        this.wallSliding = false;
+        this.wallJumpLockUntil = 0;
+        this.airJumpsUsed = 0;
+        this.attackStartTime = -Infinity;
+        this.attackHeld = false;
+        this.facingRight = true;
+        this.maxHealth = this.startingMaxHealth;
         this.health = this.maxHealth;
+        this.powerUps.clear();
         this.invulnerable = false;
         this.invulnerableTimer = 0;
         this.state = 'idle';
+        this.animator.play('idle', true);
+    }
+    
+    /**
+     * Start an attack when the attack key is pressed and the cooldown is over
+     * @private
+     */
+    _handleAttack() {
+        const now = this.clock.now();
+        const pressed = this.keys.attack && !this.attackHeld;
+        this.attackHeld = this.keys.attack;
+        
+        if (pressed && now >= this.attackStartTime + this.attackCooldown) {
+            this.attackStartTime = now;
+            this.events.emit('attack', { direction: this.facingRight ? 1 : -1 });
+        }
     }
     
     /**
@@ -183,6 +375,15 @@ class Player {
      * @private
      */
     _handleMovement(deltaTime) {
+        // The attack dash keeps its speed and direction until it ends
+        if (this.isAttacking()) {
+            this.vx = this.facingRight ? this.dashSpeed : -this.dashSpeed;
+            return;
+        }
+        
+        // Keep the push away from the wall for a moment after a wall jump
+        if (this.clock.now() < this.wallJumpLockUntil) return;
+        
         // Horizontal movement
         if (this.keys.left) {
             this.vx -= this.speed * (deltaTime / 16.67); // Adjust for framerate
@@ -195,8 +396,9 @@ class Player {
         }
         
         // Limit horizontal speed
-        if (this.vx > this.maxSpeed) this.vx = this.maxSpeed;
-        if (this.vx < -this.maxSpeed) this.vx = -this.maxSpeed;
+        const maxSpeed = this.maxSpeed * this.powerUps.getSpeedMultiplier();
+        if (this.vx > maxSpeed) this.vx = maxSpeed;
+        if (this.vx < -maxSpeed) this.vx = -maxSpeed;
     }
     
     /**
@@ -204,21 +406,72 @@ class Player {
      * @private
      */
     _handleJumping(deltaTime) {
+        const now = this.clock.now();
+        
+        if (this.onGround) {
+            this.lastGroundedTime = now;
+        }
+        
+        // Landing or grabbing a wall gives the double jump back
+        if (this.onGround || this.onWall) {
+            this.airJumpsUsed = 0;
+        }
+        
+        // Remember the press, so a jump pressed just before landing still happens
+        if (this.keys.jump && !this.jumpHeld) {
+            this.jumpPressedTime = now;
+        }
+        this.jumpHeld = this.keys.jump;
+        
+        // Allow jumping for a moment after walking off a ledge (coyote time)
+        const canJump = !this.jumping && now - this.lastGroundedTime <= this.coyoteTime;
+        const jumpBuffered = now - this.jumpPressedTime <= this.jumpBufferTime;
+        
         // Start jump
-        if (this.keys.jump && this.onGround && !this.jumping) {
+        if (canJump && jumpBuffered) {
             this.jumping = true;
-            this.jumpStartTime = performance.now();
+            this.jumpStartTime = now;
+            this.jumpPressedTime = -Infinity;
+            this.lastGroundedTime = -Infinity;
             this.vy = this.jumpForce;
             this.onGround = false;
             
             // Emit jump event
             this.events.emit('jump');
+        } else if (jumpBuffered && this.onWall && !this.onGround) {
+            // Wall jump, pushing away from the wall
+            const direction = this.onWall === 'left' ? 1 : -1;
+            
+            this.jumping = true;
+            this.jumpStartTime = now;
+            this.jumpPressedTime = -Infinity;
+            this.wallJumpLockUntil = now + this.wallJumpLockTime;
+            this.vx = this.wallJumpForceX * direction;
+            this.vy = this.wallJumpForce;
+            this.facingRight = direction > 0;
+            this.wallSliding = false;
+            
+            this.events.emit('wallJump', { direction });
+        } else if (jumpBuffered && !this.onGround && this.airJumpsUsed < 1 && this.powerUps.isActive('doubleJump')) {
+            // Second jump in the air
+            this.airJumpsUsed++;
+            this.jumping = true;
+            this.jumpStartTime = now;
+            this.jumpPressedTime = -Infinity;
+            this.vy = this.jumpForce;
+            
+            this.events.emit('doubleJump');
         }
         
+        // Slide down walls the player is pushing against
+        const pushingIntoWall = (this.onWall === 'left' && this.keys.left) || (this.onWall === 'right' && this.keys.right);
+        this.wallSliding = !this.onGround && pushingIntoWall && this.vy > 0;
+        this.fallSpeedLimit = this.wallSliding ? this.wallSlideSpeed : this.maxFallSpeed;
+        
         // Variable jump height based on how long jump key is held
         if (this.jumping && !this.keys.jump) {
             // Early release - shorter jump
-            const jumpTime = performance.now() - this.jumpStartTime;
+            const jumpTime = this.clock.now() - this.jumpStartTime;
             
             if (jumpTime < this.jumpHoldTime && this.vy < this.minJumpForce) {
                 this.vy = this.minJumpForce;
@@ -228,9 +481,20 @@ class Player {
         }
         
         // End jump when reached max hold time
-        if (this.jumping && performance.now() - this.jumpStartTime > this.jumpHoldTime) {
+        if (this.jumping && this.clock.now() - this.jumpStartTime > this.jumpHoldTime) {
             this.jumping = false;
         }
+        
+        // Lighter gravity at the top of a held jump, heavier on the way down
+        if (this.onGround || this.wallSliding) {
+            this.gravityScale = 1;
+        } else if (this.keys.jump && Math.abs(this.vy) < this.apexThreshold) {
+            this.gravityScale = this.apexGravityMultiplier;
+        } else if (this.vy > 0) {
+            this.gravityScale = this.fallGravityMultiplier;
+        } else {
+            this.gravityScale = 1;
+        }
     }
     
     /**
@@ -239,7 +503,13 @@ class Player {
      */
     _updateAnimationState(deltaTime) {
         // Determine animation state
-        if (!this.onGround) {
+        if (this.isAttacking()) {
+            this.state = 'attacking';
+        } else if (this.wallSliding) {
+            this.state = 'wallSliding';
+        } else if (!this.onGround && this.clock.now() < this.wallJumpLockUntil) {
+            this.state = 'wallJumping';
+        } else if (!this.onGround) {
             this.state = this.vy < 0 ? 'jumping' : 'falling';
         } else if (Math.abs(this.vx) > 0.5) {
             this.state = 'running';
@@ -247,55 +517,7 @@ class Player {
             this.state = 'idle';
         }
         
-        // Update animation frame
-        this.frameTime += deltaTime;
-        
-        if (this.frameTime >= this.frameDuration) {
-            this.frame = (this.frame + 1) % 4; // Assuming 4 frames per animation
-            this.frameTime = 0;
-        }
-    }
-    
-    /**
-     * Setup keyboard input handlers
-     * @private
-     */
-    _setupInputHandlers() {
-        // Keyboard event listeners
-        window.addEventListener('keydown', (e) => {
-            switch (e.key) {
-                case 'ArrowLeft':
-                case 'a':
-                    this.keys.left = true;
-                    break;
-                case 'ArrowRight':
-                case 'd':
-                    this.keys.right = true;
-                    break;
-                case 'ArrowUp':
-                case 'w':
-                case ' ':
-                    this.keys.jump = true;
-                    break;
-            }
-        });
-        
-        window.addEventListener('keyup', (e) => {
-            switch (e.key) {
-                case 'ArrowLeft':
-                case 'a':
-                    this.keys.left = false;
-                    break;
-                case 'ArrowRight':
-                case 'd':
-                    this.keys.right = false;
-                    break;
-                case 'ArrowUp':
-                case 'w':
-                case ' ':
-                    this.keys.jump = false;
-                    break;
-            }
-        });
+        this.animator.play(this.state);
+        this.animator.update(deltaTime);
     }
 } 
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * Power-ups: collectibles that give the player a timed ability
+ *
+ * Stacking rules, when a power-up is picked up while already active:
+ * - refresh: the timer restarts at the full duration
+ * - extend:  the duration is added to the time left, up to maxDuration
+ * - charges: one more charge (up to maxCharges) and the timer restarts
+ * - instant: applied once, never active
+ */
+const POWER_UPS = {
+    doubleJump: { label: 'Double Jump', icon: 'J', color: '#00BCD4', duration: 10000, stacking: 'refresh' },
+    speed: { label: 'Speed', icon: 'S', color: '#FF9800', duration: 8000, stacking: 'extend', maxDuration: 20000, multiplier: 1.5 },
+    shield: { label: 'Shield', icon: 'O', color: '#3F51B5', duration: 15000, stacking: 'charges', maxCharges: 3 },
+    magnet: { label: 'Magnet', icon: 'M', color: '#E91E63', duration: 10000, stacking: 'extend', maxDuration: 30000, radius: 150, pullSpeed: 6 },
+    extraHeart: { label: 'Extra Heart', icon: '+', color: '#F44336', stacking: 'instant', maxHealthCap: 5 }
+};
+
+/**
+ * PowerUpManager class to track the player's active power-ups
+ */
+class PowerUpManager {
+    /**
+     * @param {Player} player - Player the power-ups apply to
+     */
+    constructor(player) {
+        this.player = player;
+
+        // Active power-ups by type: {remaining, duration, charges}
+        this.active = {};
+    }
+
+    /**
+     * Give the player a power-up
+     * @param {String} type - Power-up type (key of POWER_UPS)
+     * @param {Number} duration - Duration in milliseconds, overriding the default
+     */
+    add(type, duration) {
+        const config = POWER_UPS[type];
+        if (!config) {
+            throw new Error(`Unknown power-up "${type}"`);
+        }
+
+        if (config.stacking === 'instant') {
+            this._applyInstant(type, config);
+            this.player.events.emit('powerUp', { type });
+            return;
+        }
+
+        duration = duration || config.duration;
+        const current = this.active[type];
+
+        if (!current) {
+            this.active[type] = { remaining: duration, duration, charges: 1 };
+        } else if (config.stacking === 'extend') {
+            current.remaining = Math.min(current.remaining + duration, config.maxDuration || Infinity);
+            current.duration = Math.max(current.duration, current.remaining);
+        } else {
+            current.remaining = duration;
+            current.duration = duration;
+
+            if (config.stacking === 'charges') {
+                current.charges = Math.min(current.charges + 1, config.maxCharges || Infinity);
+            }
+        }
+
+        this.player.events.emit('powerUp', { type });
+    }
+
+    /**
+     * Count down active power-ups
+     * @param {Number} deltaTime - Time since last update in milliseconds
+     */
+    update(deltaTime) {
+        Object.keys(this.active).forEach(type => {
+            this.active[type].remaining -= deltaTime;
+
+            if (this.active[type].remaining <= 0) {
+                this._expire(type);
+            }
+        });
+    }
+
+    /**
+     * Check whether a power-up is active
+     * @param {String} type - Power-up type
+     * @returns {Boolean} - True if active
+     */
+    isActive(type) {
+        return Boolean(this.active[type]);
+    }
+
+    /**
+     * Get the player's speed multiplier
+     * @returns {Number} - Multiplier for the player's maximum speed
+     */
+    getSpeedMultiplier() {
+        return this.isActive('speed') ? POWER_UPS.speed.multiplier : 1;
+    }
+
+    /**
+     * Use up a shield charge to block a hit
+     * @returns {Boolean} - True if the hit was blocked
+     */
+    absorbHit() {
+        const shield = this.active.shield;
+        if (!shield) return false;
+
+        shield.charges--;
+        this.player.events.emit('shieldHit', { charges: shield.charges });
+
+        if (shield.charges <= 0) {
+            this._expire('shield');
+        }
+        return true;
+    }
+
+    /**
+     * Get the active power-ups for the HUD
+     * @returns {Array} - {type, label, color, remaining, charges} sorted by time left
+     */
+    getActive() {
+        return Object.keys(this.active)
+            .map(type => Object.assign({ type }, POWER_UPS[type], this.active[type]))
+            .sort((a, b) => a.remaining - b.remaining);
+    }
+
+    /**
+     * Remove all power-ups
+     */
+    clear() {
+        this.active = {};
+    }
+
+    /**
+     * End a power-up
+     * @private
+     */
+    _expire(type) {
+        delete this.active[type];
+        this.player.events.emit('powerUpExpired', { type });
+    }
+
+    /**
+     * Apply a power-up that has no duration
+     * @private
+     */
+    _applyInstant(type, config) {
+        if (type === 'extraHeart') {
+            const player = this.player;
+
+            // Heal, or raise maximum health when already full
+            if (player.health >= player.maxHealth && player.maxHealth < config.maxHealthCap) {
+                player.maxHealth++;
+            }
+            player.health = Math.min(player.health + 1, player.maxHealth);
+            player.events.emit('heal', { health: player.health, maxHealth: player.maxHealth });
+        }
+    }
+}
@@ -0,0 +1,182 @@
+/**
+ * Projectiles fired by enemies
+ *
+ * Projectiles are pooled: each level keeps one ProjectilePool and inactive
+ * projectiles are reused for new shots, so firing doesn't create garbage
+ * every frame. A projectile flies in a straight line, or falls in an arc when
+ * it has gravity, until it hits a platform or the player or its lifetime ends.
+ */
+
+/**
+ * Projectile class for a single shot
+ */
+class Projectile {
+    constructor() {
+        this.active = false;
+        this.reset({});
+    }
+
+    /**
+     * Set up the projectile for a new shot
+     * @param {Object} options - {x, y, vx, vy, radius, gravity, life, damage, color, owner}
+     */
+    reset(options) {
+        this.x = options.x || 0;
+        this.y = options.y || 0;
+        this.vx = options.vx || 0;
+        this.vy = options.vy || 0;
+        this.radius = options.radius || 6;
+        this.gravity = options.gravity || 0;       // Added to vy every frame
+        this.life = options.life || 3000;          // ms before it disappears
+        this.damage = options.damage || 1;
+        this.color = options.color || '#ff7043';
+        this.owner = options.owner || null;        // Enemy that fired it
+
+        // Start interpolation at the spawn point
+        this.prevRenderX = this.x;
+        this.prevRenderY = this.y;
+    }
+
+    /**
+     * Get the projectile's bounding box
+     * @returns {Object} - {x, y, width, height}
+     */
+    getBounds() {
+        return {
+            x: this.x - this.radius,
+            y: this.y - this.radius,
+            width: this.radius * 2,
+            height: this.radius * 2
+        };
+    }
+}
+
+/**
+ * ProjectilePool class to fire, move and draw projectiles
+ */
+class ProjectilePool {
+    /**
+     * @param {Number} size - Number of projectiles to create up front
+     */
+    constructor(size = 32) {
+        this.projectiles = [];
+
+        for (let i = 0; i < size; i++) {
+            this.projectiles.push(new Projectile());
+        }
+    }
+
+    /**
+     * Fire a projectile, reusing an inactive one when possible
+     * @param {Object} options - Projectile settings (see Projectile.reset)
+     * @returns {Projectile} - The fired projectile
+     */
+    spawn(options) {
+        let projectile = this.projectiles.find(p => !p.active);
+
+        // Grow the pool when every projectile is in flight
+        if (!projectile) {
+            projectile = new Projectile();
+            this.projectiles.push(projectile);
+        }
+
+        projectile.reset(options);
+        projectile.active = true;
+        return projectile;
+    }
+
+    /**
+     * Move projectiles and check them against platforms and the player
+     * @param {Number} deltaTime - Time since last update in milliseconds
+     * @param {Level} level - Level whose platforms and solid tiles stop projectiles
+     * @param {Player} player - Player to hit
+     */
+    update(deltaTime, level, player) {
+        const timeScale = deltaTime / 16.67;
+
+        this.projectiles.forEach(projectile => {
+            if (!projectile.active) return;
+
+            projectile.vy += projectile.gravity * timeScale;
+            projectile.x += projectile.vx * timeScale;
+            projectile.y += projectile.vy * timeScale;
+            projectile.life -= deltaTime;
+
+            if (projectile.life <= 0) {
+                projectile.active = false;
+                return;
+            }
+
+            const bounds = projectile.getBounds();
+
+            // Solid platforms stop projectiles; jump-through ones let them pass
+            const hitPlatform = level.getPlatformsNear(bounds, 0).some(platform =>
+                platform.active !== false && !platform.jumpThrough && Utils.checkCollision(bounds, platform)
+            );
+            if (hitPlatform) {
+                projectile.active = false;
+                return;
+            }
+
+            if (Utils.checkCollision(bounds, CombatSystem.getBox(player, player.hurtbox))) {
+                projectile.active = false;
+                player.takeDamage(projectile.damage, projectile.vx < 0 ? -5 : 5);
+            }
+        });
+    }
+
+    /**
+     * Remove projectiles in flight
+     * @param {Object} owner - Only remove projectiles fired by this enemy (all if omitted)
+     */
+    clear(owner = null) {
+        this.projectiles.forEach(projectile => {
+            if (!owner || projectile.owner === owner) {
+                projectile.active = false;
+            }
+        });
+    }
+
+    /**
+     * Count projectiles in flight
+     * @returns {Number} - Number of active projectiles
+     */
+    getActiveCount() {
+        return this.projectiles.filter(projectile => projectile.active).length;
+    }
+
+    /**
+     * Store positions before a simulation step for render interpolation
+     */
+    savePreviousPositions() {
+        this.projectiles.forEach(projectile => {
+            projectile.prevRenderX = projectile.x;
+            projectile.prevRenderY = projectile.y;
+        });
+    }
+
+    /**
+     * Draw projectiles in flight
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Number} offsetX - Camera X offset
+     * @param {Number} offsetY - Camera Y offset
+     * @param {Number} alpha - Render interpolation between simulation steps (0 to 1)
+     */
+    draw(ctx, offsetX = 0, offsetY = 0, alpha = 1) {
+        ctx.save();
+
+        this.projectiles.forEach(projectile => {
+            if (!projectile.active) return;
+
+            const x = Utils.lerp(projectile.prevRenderX, projectile.x, alpha);
+            const y = Utils.lerp(projectile.prevRenderY, projectile.y, alpha);
+
+            ctx.fillStyle = projectile.color;
+            ctx.beginPath();
+            ctx.arc(x - offsetX, y - offsetY, projectile.radius, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.restore();
+    }
+}
@@ -0,0 +1,187 @@
+/**
+ * Input recording and replay
+ *
+ * The simulation is deterministic (fixed timestep, no random numbers), so
+ * a run can be reproduced from the level ID and the state of Player.keys
+ * on every simulation tick.
+ *
+ * Replay file:
+ * {
+ *     version,
+ *     levelId,
+ *     step,                     // Simulation step in milliseconds
+ *     checkpoint,               // Checkpoint index the run started from (omitted for the spawn point)
+ *     collected, defeated,      // Items and enemies cleared before that checkpoint (see Level.getProgress)
+ *     keys: ['left', ...],      // Bit order of the input masks
+ *     ticks,                    // Number of recorded ticks
+ *     inputs: [mask, count, ...] // Run-length encoded input masks
+ * }
+ */
+
+/**
+ * Current replay format version
+ */
+const REPLAY_VERSION = 2;
+
+/**
+ * Player.keys recorded in replays, in bit order
+ */
+const REPLAY_KEYS = ['left', 'right', 'jump', 'attack'];
+
+/**
+ * Schema describing the replay file (see LevelLoader.validateSchema)
+ */
+const REPLAY_SCHEMA = {
+    type: 'object',
+    properties: {
+        version: { type: 'integer', required: true, min: 1, max: REPLAY_VERSION },
+        levelId: { type: 'string', required: true },
+        seed: { type: 'integer', min: 0 },  // Random seed of version 1 files, unused
+        step: { type: 'number', required: true, gt: 0 },
+        checkpoint: { type: 'integer', min: 0 },
+        collected: { type: 'array', items: { type: 'integer', min: 0 } },
+        defeated: { type: 'array', items: { type: 'integer', min: 0 } },
+        keys: { type: 'array', required: true, items: { type: 'string' } },
+        ticks: { type: 'integer', required: true, min: 0 },
+        inputs: { type: 'array', required: true, items: { type: 'integer', min: 0 } },
+        score: { type: 'number' },
+        time: { type: 'number' }
+    }
+};
+
+/**
+ * ReplayRecorder class to capture inputs tick by tick
+ */
+class ReplayRecorder {
+    constructor() {
+        this.recording = false;
+        this.meta = null;
+        this.inputs = [];
+        this.ticks = 0;
+    }
+
+    /**
+     * Start a new recording
+     * @param {Object} meta - {levelId, step, and optionally checkpoint, collected, defeated}
+     */
+    start(meta) {
+        this.recording = true;
+        this.meta = meta;
+        this.inputs = [];
+        this.ticks = 0;
+    }
+
+    /**
+     * Record the input state for one simulation tick
+     * @param {Object} keys - Player.keys
+     */
+    record(keys) {
+        if (!this.recording) return;
+
+        const mask = REPLAY_KEYS.reduce((bits, key, index) => bits | (keys[key] ? 1 << index : 0), 0);
+        const last = this.inputs.length - 2;
+
+        // Extend the current run, or start a new one
+        if (last >= 0 && this.inputs[last] === mask) {
+            this.inputs[last + 1]++;
+        } else {
+            this.inputs.push(mask, 1);
+        }
+
+        this.ticks++;
+    }
+
+    /**
+     * Stop recording and get the replay data
+     * @param {Object} result - Extra run info to store, e.g. {score, time}
+     * @returns {Object|null} - Replay data, or null if nothing was recorded
+     */
+    finish(result = {}) {
+        if (!this.recording) return null;
+
+        this.recording = false;
+
+        return Object.assign({
+            version: REPLAY_VERSION,
+            levelId: this.meta.levelId,
+            step: this.meta.step,
+            checkpoint: this.meta.checkpoint,
+            collected: this.meta.collected,
+            defeated: this.meta.defeated,
+            keys: REPLAY_KEYS.slice(),
+            ticks: this.ticks,
+            inputs: this.inputs.slice()
+        }, result);
+    }
+}
+
+/**
+ * ReplayPlayer class to feed recorded inputs back tick by tick
+ */
+class ReplayPlayer {
+    /**
+     * @param {Object} replay - Validated replay data
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.length = replay.ticks;
+        this.tick = 0;
+
+        // Expand the run-length encoding for random access while scrubbing
+        this.masks = new Uint8Array(replay.ticks);
+        let tick = 0;
+        for (let i = 0; i < replay.inputs.length; i += 2) {
+            this.masks.fill(replay.inputs[i], tick, tick + replay.inputs[i + 1]);
+            tick += replay.inputs[i + 1];
+        }
+    }
+
+    /**
+     * Check whether every recorded tick has been played
+     * @returns {Boolean} - True at the end of the replay
+     */
+    isFinished() {
+        return this.tick >= this.length;
+    }
+
+    /**
+     * Get the recorded keys for the current tick and move to the next one
+     * @returns {Object} - Keys state in the Player.keys shape
+     */
+    next() {
+        const mask = this.masks[this.tick];
+        this.tick++;
+
+        const keys = {};
+        this.replay.keys.forEach((key, index) => {
+            keys[key] = Boolean(mask & (1 << index));
+        });
+        return keys;
+    }
+}
+
+/**
+ * Parse and validate a replay file
+ * @param {String} text - JSON replay file contents
+ * @returns {Object} - Replay data
+ * @throws {LevelFormatError} - If the file is not a valid replay
+ */
+function parseReplay(text) {
+    let data;
+
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new LevelFormatError(`Invalid JSON: ${error.message}`);
+    }
+
+    LevelLoader.validateSchema(data, REPLAY_SCHEMA);
+
+    // Run lengths must add up to the tick count
+    const total = data.inputs.reduce((sum, value, index) => sum + (index % 2 ? value : 0), 0);
+    if (data.inputs.length % 2 !== 0 || total !== data.ticks) {
+        throw new LevelFormatError('inputs do not match ticks', 'inputs');
+    }
+
+    return data;
+}
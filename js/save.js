@@ -0,0 +1,198 @@
+/**
+ * Save game persistence using localStorage
+ *
+ * Each slot is stored under its own key as a versioned JSON document:
+ * {
+ *     version,
+ *     updatedAt,
+ *     unlockedLevels: [levelId],
+ *     levels: { levelId: { completed, bestScore, bestTime, bestCollectibles, totalCollectibles } },
+ *     resume: { levelId, levelStartScore, score, checkpoint: { index, score, time, collected, defeated } | null } | null,
+ *     replays: { levelId: replay }  // Best-time run per level (see replay.js)
+ * }
+ */
+
+/**
+ * Current save format version
+ */
+const SAVE_VERSION = 3;
+
+/**
+ * Save migrations. SAVE_MIGRATIONS[n] upgrades a version n save to version n + 1.
+ * When the save format changes, bump SAVE_VERSION and add an entry here so
+ * existing players keep their progress.
+ */
+const SAVE_MIGRATIONS = {
+    // Version 2 added best-run replays
+    1: (data) => Object.assign({}, data, { replays: {} }),
+
+    // Version 3 saved what was cleared before the checkpoint. Older
+    // checkpoints can't say, so continuing restarts their level instead.
+    2: (data) => Object.assign({}, data, {
+        resume: data.resume && Object.assign({}, data.resume, { score: data.resume.levelStartScore, checkpoint: null })
+    })
+};
+
+/**
+ * SaveManager class to read and write save slots
+ */
+class SaveManager {
+    /**
+     * @param {Storage} storage - Storage backend (localStorage), or null if unavailable
+     * @param {Number} slotCount - Number of save slots
+     * @param {String} prefix - Key prefix for stored data
+     */
+    constructor(storage, slotCount = 3, prefix = 'platformer') {
+        this.storage = storage;
+        this.slotCount = slotCount;
+        this.prefix = prefix;
+    }
+
+    /**
+     * Create an empty save
+     * @returns {Object} - Save data with no progress
+     */
+    createEmpty() {
+        return {
+            version: SAVE_VERSION,
+            updatedAt: null,
+            unlockedLevels: [],
+            levels: {},
+            resume: null,
+            replays: {}
+        };
+    }
+
+    /**
+     * Load a save slot, migrating older versions
+     * @param {Number} slot - Slot number, starting at 1
+     * @returns {Object|null} - Save data, or null if the slot is empty or unreadable
+     */
+    load(slot) {
+        const text = this._read(this._getKey(slot));
+        if (text === null) return null;
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            console.warn(`Save slot ${slot} is corrupt and was ignored:`, error.message);
+            return null;
+        }
+
+        return this._migrate(data, slot);
+    }
+
+    /**
+     * Write a save slot
+     * @param {Number} slot - Slot number, starting at 1
+     * @param {Object} data - Save data
+     * @returns {Boolean} - True if the data was stored
+     */
+    save(slot, data) {
+        data.version = SAVE_VERSION;
+        data.updatedAt = new Date().toISOString();
+
+        return this._write(this._getKey(slot), JSON.stringify(data));
+    }
+
+    /**
+     * Delete a save slot
+     * @param {Number} slot - Slot number, starting at 1
+     */
+    clear(slot) {
+        if (!this.storage) return;
+
+        try {
+            this.storage.removeItem(this._getKey(slot));
+        } catch (error) {
+            console.warn('Could not clear save:', error.message);
+        }
+    }
+
+    /**
+     * Get the slot used most recently
+     * @returns {Number} - Slot number, starting at 1
+     */
+    getLastSlot() {
+        const slot = parseInt(this._read(`${this.prefix}.lastSlot`), 10);
+        return slot >= 1 && slot <= this.slotCount ? slot : 1;
+    }
+
+    /**
+     * Remember the slot in use
+     * @param {Number} slot - Slot number, starting at 1
+     */
+    setLastSlot(slot) {
+        this._write(`${this.prefix}.lastSlot`, String(slot));
+    }
+
+    /**
+     * Get the storage key of a slot
+     * @private
+     */
+    _getKey(slot) {
+        return `${this.prefix}.save.${slot}`;
+    }
+
+    /**
+     * Upgrade save data to the current version
+     * @private
+     */
+    _migrate(data, slot) {
+        if (typeof data !== 'object' || data === null || !Number.isInteger(data.version)) {
+            console.warn(`Save slot ${slot} has no version and was ignored`);
+            return null;
+        }
+
+        if (data.version > SAVE_VERSION) {
+            console.warn(`Save slot ${slot} was written by a newer version (${data.version}) and was ignored`);
+            return null;
+        }
+
+        while (data.version < SAVE_VERSION) {
+            const migrate = SAVE_MIGRATIONS[data.version];
+            if (!migrate) {
+                console.warn(`No migration from save version ${data.version}, slot ${slot} was ignored`);
+                return null;
+            }
+
+            data = migrate(data);
+            data.version++;
+        }
+
+        // Fill in anything missing so callers can rely on the shape
+        return Object.assign(this.createEmpty(), data);
+    }
+
+    /**
+     * Read a value from storage, which may be unavailable (e.g. private browsing)
+     * @private
+     */
+    _read(key) {
+        if (!this.storage) return null;
+
+        try {
+            return this.storage.getItem(key);
+        } catch (error) {
+            console.warn('Could not read save:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Write a value to storage
+     * @private
+     */
+    _write(key, value) {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(key, value);
+            return true;
+        } catch (error) {
+            console.warn('Could not write save:', error.message);
+            return false;
+        }
+    }
+}
@@ -0,0 +1,195 @@
+/**
+ * Procedural sound effects, in the style of sfxr
+ *
+ * Each sound is a preset of a few parameters: a waveform, its pitch over
+ * time and a volume envelope. Presets are rendered into AudioBuffers when
+ * the asset manifest loads, so the game makes sounds without any audio
+ * files. Noise is seeded, so a preset always sounds the same.
+ */
+
+/**
+ * Parameters of a sound effect, and their defaults. Times are in seconds.
+ */
+const DEFAULT_SFX_PARAMS = {
+    wave: 'square',     // square, sawtooth, triangle, sine or noise
+    frequency: 440,     // Starting pitch in Hz (for noise, how often the value changes)
+    slide: 0,           // Pitch change in octaves per second, negative to fall
+    steps: [],          // Pitch jumps: {time, multiplier} of the starting pitch, e.g. a coin's second note
+    vibratoDepth: 0,    // Pitch wobble, as a fraction of the pitch
+    vibratoSpeed: 0,    // Wobbles per second
+    duty: 0.5,          // Fraction of a square wave's cycle spent high
+    dutySlide: 0,       // Duty change per second
+    attack: 0,          // Fade in
+    sustain: 0.1,       // Full volume
+    punch: 0,           // Extra volume at the start of the sustain, fading over it
+    decay: 0.2,         // Fade out
+    lowPass: 0,         // Low-pass filter cutoff in Hz, 0 for none
+    volume: 0.5,
+    seed: 1             // Noise seed
+};
+
+/**
+ * Sound effect presets by name, filled in from DEFAULT_SFX_PARAMS
+ */
+const SFX_PRESETS = {
+    jump: { frequency: 300, slide: 3, sustain: 0.05, decay: 0.15 },
+    footstep: { wave: 'noise', frequency: 1500, sustain: 0.01, decay: 0.05, lowPass: 1200, volume: 0.3 },
+    attack: { wave: 'noise', frequency: 6000, slide: -4, sustain: 0.03, decay: 0.12, lowPass: 3000, volume: 0.35 },
+    hit: { frequency: 220, slide: -6, duty: 0.3, sustain: 0.02, punch: 0.5, decay: 0.1 },
+    stomp: { frequency: 180, slide: -5, sustain: 0.03, punch: 0.6, decay: 0.15, lowPass: 2000, volume: 0.6 },
+    combo: { frequency: 880, duty: 0.25, sustain: 0.04, decay: 0.08, volume: 0.3 },
+    defeat: { wave: 'noise', frequency: 900, slide: -3, sustain: 0.05, decay: 0.25, lowPass: 1500, volume: 0.45, seed: 2 },
+    hurt: { frequency: 500, slide: -5, duty: 0.4, sustain: 0.05, punch: 0.4, decay: 0.2 },
+    death: { wave: 'sawtooth', frequency: 440, slide: -2.5, vibratoDepth: 0.1, vibratoSpeed: 8, sustain: 0.2, decay: 0.6 },
+    crush: { wave: 'noise', frequency: 400, slide: -2, sustain: 0.08, punch: 0.5, decay: 0.3, lowPass: 800, volume: 0.6, seed: 3 },
+    coin: { frequency: 988, steps: [{ time: 0.07, multiplier: 1.335 }], sustain: 0.12, punch: 0.4, decay: 0.25, volume: 0.4 },
+    gem: {
+        wave: 'triangle', frequency: 1047, vibratoDepth: 0.01, vibratoSpeed: 12,
+        steps: [{ time: 0.05, multiplier: 1.26 }, { time: 0.1, multiplier: 1.5 }, { time: 0.15, multiplier: 2 }],
+        sustain: 0.18, decay: 0.3
+    },
+    health: { wave: 'triangle', frequency: 523, slide: 1.5, sustain: 0.1, decay: 0.2 },
+    powerUp: { frequency: 262, slide: 4, vibratoDepth: 0.06, vibratoSpeed: 18, dutySlide: -0.8, sustain: 0.3, decay: 0.2, volume: 0.4 },
+    powerDown: { frequency: 660, slide: -3, vibratoDepth: 0.04, vibratoSpeed: 10, sustain: 0.2, decay: 0.2, volume: 0.35 },
+    shield: { wave: 'sine', frequency: 1200, slide: -2, vibratoDepth: 0.2, vibratoSpeed: 30, sustain: 0.08, decay: 0.25 },
+    checkpoint: {
+        frequency: 523, steps: [{ time: 0.1, multiplier: 1.26 }, { time: 0.2, multiplier: 1.5 }],
+        sustain: 0.3, decay: 0.2, volume: 0.4
+    },
+    levelComplete: {
+        frequency: 523, duty: 0.25, vibratoDepth: 0.01, vibratoSpeed: 6,
+        steps: [{ time: 0.12, multiplier: 1.26 }, { time: 0.24, multiplier: 1.5 }, { time: 0.36, multiplier: 2 }],
+        sustain: 0.5, punch: 0.2, decay: 0.5, volume: 0.4
+    },
+    roar: { wave: 'sawtooth', frequency: 90, slide: -0.5, vibratoDepth: 0.15, vibratoSpeed: 12, attack: 0.05, sustain: 0.5, decay: 0.4, lowPass: 1200, volume: 0.6 },
+    explosion: { wave: 'noise', frequency: 300, slide: -1.5, sustain: 0.3, punch: 0.8, decay: 0.9, lowPass: 1000, volume: 0.5, seed: 4 }
+};
+
+/**
+ * Sound played for each player event: the asset key of the sound (or a
+ * function of the event data giving it), who it comes from (the player,
+ * or the enemy or boss in the event data; null for no position), and
+ * optionally a volume and a playback rate (or a function giving it).
+ */
+const PLAYER_EVENT_SOUNDS = {
+    jump: { sound: 'sounds/jump', source: 'player' },
+    doubleJump: { sound: 'sounds/jump', source: 'player', rate: 1.3 },
+    wallJump: { sound: 'sounds/jump', source: 'player', rate: 0.85 },
+    footstep: { sound: 'sounds/footstep', source: 'player', volume: 0.5 },
+    attack: { sound: 'sounds/attack', source: 'player' },
+    attackHit: { sound: 'sounds/hit', source: 'enemy' },
+    stomp: { sound: 'sounds/stomp', source: 'enemy' },
+    enemyPoints: { sound: 'sounds/combo', source: 'enemy', rate: data => 1 + 0.15 * Math.max(0, data.combo - 1) },
+    killEnemy: { sound: 'sounds/defeat', source: 'enemy' },
+    damage: { sound: 'sounds/hurt', source: 'player' },
+    death: { sound: 'sounds/death', source: null },
+    crushed: { sound: 'sounds/crush', source: 'player' },
+    heal: { sound: 'sounds/health', source: 'player' },
+    collectItem: { sound: data => (data.type === 'gem' || data.type === 'health' ? `sounds/${data.type}` : 'sounds/coin'), source: 'player' },
+    powerUp: { sound: 'sounds/powerUp', source: 'player' },
+    powerUpExpired: { sound: 'sounds/powerDown', source: 'player' },
+    shieldHit: { sound: 'sounds/shield', source: 'player' },
+    checkpoint: { sound: 'sounds/checkpoint', source: 'player' },
+    levelComplete: { sound: 'sounds/levelComplete', source: null },
+    bossStart: { sound: 'sounds/roar', source: 'boss' },
+    bossPhase: { sound: 'sounds/roar', source: 'boss', rate: data => 1 + 0.2 * data.phase },
+    bossDefeated: { sound: 'sounds/explosion', source: 'boss' }
+};
+
+/**
+ * Sound effect synthesizer
+ */
+const SoundSynth = {
+    sampleRate: 44100,
+
+    /**
+     * Render a sound effect into an AudioBuffer
+     * @param {Object} params - Sound parameters (see DEFAULT_SFX_PARAMS)
+     * @returns {AudioBuffer} - Mono buffer holding the sound
+     */
+    createBuffer: (params) => {
+        const samples = SoundSynth.render(params);
+        const buffer = new AudioBuffer({ length: samples.length, numberOfChannels: 1, sampleRate: SoundSynth.sampleRate });
+        buffer.copyToChannel(samples, 0);
+        return buffer;
+    },
+
+    /**
+     * Render a sound effect into samples
+     * @param {Object} params - Sound parameters (see DEFAULT_SFX_PARAMS)
+     * @returns {Float32Array} - Samples from -1 to 1
+     */
+    render: (params) => {
+        const p = Object.assign({}, DEFAULT_SFX_PARAMS, params);
+        const rate = SoundSynth.sampleRate;
+        const samples = new Float32Array(Math.ceil((p.attack + p.sustain + p.decay) * rate));
+        const steps = p.steps.slice().sort((a, b) => a.time - b.time);
+        const random = Utils.createRandom(p.seed);
+
+        // One-pole low-pass filter: how far each sample moves towards the input
+        const smoothing = p.lowPass > 0 ? 1 - Math.exp(-2 * Math.PI * p.lowPass / rate) : 1;
+
+        let phase = 0;
+        let noise = random() * 2 - 1;
+        let filtered = 0;
+        let step = 0;
+        let multiplier = 1;
+
+        for (let i = 0; i < samples.length; i++) {
+            const time = i / rate;
+
+            while (step < steps.length && time >= steps[step].time) {
+                multiplier = steps[step++].multiplier;
+            }
+
+            let frequency = p.frequency * multiplier * Math.pow(2, p.slide * time);
+            if (p.vibratoDepth > 0) {
+                frequency *= 1 + p.vibratoDepth * Math.sin(2 * Math.PI * p.vibratoSpeed * time);
+            }
+
+            phase += Utils.clamp(frequency, 20, rate / 2) / rate;
+            if (phase >= 1) {
+                phase -= Math.floor(phase);
+                noise = random() * 2 - 1;
+            }
+
+            filtered += (SoundSynth._wave(p, phase, noise, time) - filtered) * smoothing;
+            samples[i] = Utils.clamp(filtered * SoundSynth._envelope(p, time) * p.volume, -1, 1);
+        }
+
+        return samples;
+    },
+
+    /**
+     * Get the waveform's value at a point of its cycle
+     * @private
+     */
+    _wave: (p, phase, noise, time) => {
+        switch (p.wave) {
+            case 'sawtooth':
+                return 2 * phase - 1;
+            case 'triangle':
+                return 1 - 4 * Math.abs(phase - 0.5);
+            case 'sine':
+                return Math.sin(2 * Math.PI * phase);
+            case 'noise':
+                return noise;
+            default:
+                return phase < Utils.clamp(p.duty + p.dutySlide * time, 0.05, 0.95) ? 1 : -1;
+        }
+    },
+
+    /**
+     * Get the volume envelope at a time
+     * @private
+     */
+    _envelope: (p, time) => {
+        if (time < p.attack) {
+            return time / p.attack;
+        }
+        if (time < p.attack + p.sustain) {
+            return 1 + p.punch * (1 - (time - p.attack) / p.sustain);
+        }
+        return Math.max(0, 1 - (time - p.attack - p.sustain) / p.decay);
+    }
+};
@@ -0,0 +1,179 @@
+/**
+ * Spatial hash for finding level objects by area
+ *
+ * Objects are filed under every grid cell their bounding box covers, so an
+ * area query only looks at the objects in the cells it covers instead of
+ * every object in the level. Objects that move must be updated after
+ * moving. Query results come back in the order the objects were inserted,
+ * so collisions resolve the same way as when looping over the level arrays.
+ */
+class SpatialHash {
+    /**
+     * @param {Number} cellSize - Width and height of a grid cell in pixels
+     */
+    constructor(cellSize = 128) {
+        this.cellSize = cellSize;
+        this.cells = new Map();     // Cell key -> entries in the cell
+        this.entries = new Map();   // Object -> {object, order, cells range, stamp}
+        this.nextOrder = 0;
+        this.queryStamp = 0;        // Marks entries already found by the current query
+    }
+
+    /**
+     * Number of objects in the hash
+     * @returns {Number} - Object count
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Add an object
+     * @param {Object} object - Object with x, y, width and height
+     */
+    insert(object) {
+        if (this.entries.has(object)) return;
+
+        const entry = { object, order: this.nextOrder++, stamp: 0 };
+        this._setRange(entry);
+        this._addToCells(entry);
+        this.entries.set(object, entry);
+    }
+
+    /**
+     * Remove an object
+     * @param {Object} object - Object added with insert
+     */
+    remove(object) {
+        const entry = this.entries.get(object);
+        if (!entry) return;
+
+        this._removeFromCells(entry);
+        this.entries.delete(object);
+    }
+
+    /**
+     * Refile an object after it moved or changed size
+     * @param {Object} object - Object added with insert
+     */
+    update(object) {
+        const entry = this.entries.get(object);
+        if (!entry) return;
+
+        const { minColumn, maxColumn, minRow, maxRow } = entry;
+        this._setRange(entry);
+
+        // Most steps an object stays within the same cells
+        if (entry.minColumn === minColumn && entry.maxColumn === maxColumn &&
+            entry.minRow === minRow && entry.maxRow === maxRow) {
+            return;
+        }
+
+        this._removeFromCells({ object, minColumn, maxColumn, minRow, maxRow });
+        this._addToCells(entry);
+    }
+
+    /**
+     * Find the objects in the cells an area covers. Objects near the area
+     * may be included too, so check for actual overlap where it matters.
+     * @param {Object} area - {x, y, width, height}
+     * @param {Number} margin - Extra distance around the area
+     * @returns {Array} - Objects in insertion order
+     */
+    query(area, margin = 0) {
+        const stamp = ++this.queryStamp;
+        const found = [];
+
+        const minColumn = Math.floor((area.x - margin) / this.cellSize);
+        const maxColumn = Math.floor((area.x + area.width + margin) / this.cellSize);
+        const minRow = Math.floor((area.y - margin) / this.cellSize);
+        const maxRow = Math.floor((area.y + area.height + margin) / this.cellSize);
+
+        for (let column = minColumn; column <= maxColumn; column++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                const cell = this.cells.get(this._key(column, row));
+                if (!cell) continue;
+
+                for (const entry of cell) {
+                    if (entry.stamp !== stamp) {
+                        entry.stamp = stamp;
+                        found.push(entry);
+                    }
+                }
+            }
+        }
+
+        return found.sort((a, b) => a.order - b.order).map(entry => entry.object);
+    }
+
+    /**
+     * Remove every object
+     */
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+        this.nextOrder = 0;
+    }
+
+    /**
+     * Work out the range of cells an entry's object covers
+     * @private
+     */
+    _setRange(entry) {
+        const object = entry.object;
+        entry.minColumn = Math.floor(object.x / this.cellSize);
+        entry.maxColumn = Math.floor((object.x + object.width) / this.cellSize);
+        entry.minRow = Math.floor(object.y / this.cellSize);
+        entry.maxRow = Math.floor((object.y + object.height) / this.cellSize);
+    }
+
+    /**
+     * File an entry in every cell of its range
+     * @private
+     */
+    _addToCells(entry) {
+        for (let column = entry.minColumn; column <= entry.maxColumn; column++) {
+            for (let row = entry.minRow; row <= entry.maxRow; row++) {
+                const key = this._key(column, row);
+                let cell = this.cells.get(key);
+
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(entry);
+            }
+        }
+    }
+
+    /**
+     * Take an object out of the cells of a range
+     * @private
+     */
+    _removeFromCells(range) {
+        for (let column = range.minColumn; column <= range.maxColumn; column++) {
+            for (let row = range.minRow; row <= range.maxRow; row++) {
+                const key = this._key(column, row);
+                const cell = this.cells.get(key);
+                if (!cell) continue;
+
+                const index = cell.findIndex(entry => entry.object === range.object);
+                if (index !== -1) {
+                    cell.splice(index, 1);
+                }
+                if (cell.length === 0) {
+                    this.cells.delete(key);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the numeric key of a cell (columns and rows from -16384 to 16383).
+     * Keys stay small integers, which Map looks up fastest.
+     * @private
+     */
+    _key(column, row) {
+        return (column + 16384) * 32768 + (row + 16384);
+    }
+}
@@ -0,0 +1,321 @@
+/**
+ * Sprite sheets and animation
+ *
+ * A sprite sheet is an image with a list of frame rectangles and named
+ * clips: runs of frames with a duration per frame, a loop mode and events
+ * fired on given frames (e.g. a footstep). Sheets are drawn facing right
+ * and flipped for entities facing left. Sheet images are loaded with the
+ * asset manifest; when one isn't listed there or fails to load,
+ * Sprites.get returns null and entities draw their placeholder shapes
+ * instead. Clips still play, so animation events keep firing.
+ */
+
+/**
+ * Build the frame rectangles of a sheet laid out as a grid, left to right
+ * and top to bottom
+ * @param {Number} frameWidth - Width of a frame in pixels
+ * @param {Number} frameHeight - Height of a frame in pixels
+ * @param {Number} columns - Frames per row
+ * @param {Number} count - Number of frames
+ * @param {Number} x - Left of the grid in the image
+ * @param {Number} y - Top of the grid in the image
+ * @returns {Array} - Frames: {x, y, width, height}
+ */
+function createGridFrames(frameWidth, frameHeight, columns, count, x = 0, y = 0) {
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+        frames.push({
+            x: x + (i % columns) * frameWidth,
+            y: y + Math.floor(i / columns) * frameHeight,
+            width: frameWidth,
+            height: frameHeight
+        });
+    }
+    return frames;
+}
+
+/**
+ * Sprite sheets by name, with the asset key of their image (see
+ * ASSET_MANIFEST). Clips: start (index of the first frame), count,
+ * frameDuration (ms), loop and events (event name by frame number within
+ * the clip). After its last frame a clip starts over ('loop'), stops
+ * ('once'), or plays backwards to its first frame and forwards again
+ * ('pingPong').
+ */
+const SPRITE_SHEETS = {
+    // Player states (see Player._updateAnimationState)
+    player: {
+        image: 'images/player',
+        frames: createGridFrames(32, 48, 8, 40),
+        clips: {
+            idle: { start: 0, count: 4, frameDuration: 150, loop: 'loop' },
+            running: { start: 8, count: 6, frameDuration: 80, loop: 'loop', events: { 1: 'footstep', 4: 'footstep' } },
+            jumping: { start: 16, count: 2, frameDuration: 100, loop: 'once' },
+            falling: { start: 18, count: 2, frameDuration: 100, loop: 'loop' },
+            wallSliding: { start: 24, count: 2, frameDuration: 120, loop: 'loop' },
+            wallJumping: { start: 26, count: 2, frameDuration: 100, loop: 'once' },
+            attacking: { start: 32, count: 4, frameDuration: 50, loop: 'once' }
+        }
+    },
+
+    // Enemy types (see createEnemy), with the boss's larger frames below
+    enemies: {
+        image: 'images/enemies',
+        frames: createGridFrames(32, 32, 8, 48).concat(createGridFrames(80, 80, 4, 4, 0, 192)),
+        clips: {
+            patrol: { start: 0, count: 4, frameDuration: 150, loop: 'loop' },
+            jumper: { start: 8, count: 4, frameDuration: 150, loop: 'pingPong' },
+            walker: { start: 16, count: 4, frameDuration: 150, loop: 'loop' },
+            chaser: { start: 24, count: 4, frameDuration: 100, loop: 'loop' },
+            bat: { start: 32, count: 4, frameDuration: 100, loop: 'pingPong' },
+            turret: { start: 40, count: 2, frameDuration: 400, loop: 'loop' },
+            boss: { start: 48, count: 4, frameDuration: 200, loop: 'loop' }
+        }
+    },
+
+    // Collectible types, including power-ups
+    items: {
+        image: 'images/items',
+        frames: createGridFrames(20, 20, 6, 36),
+        clips: {
+            coin: { start: 0, count: 6, frameDuration: 100, loop: 'loop' },
+            gem: { start: 6, count: 4, frameDuration: 150, loop: 'pingPong' },
+            health: { start: 12, count: 2, frameDuration: 300, loop: 'loop' },
+            doubleJump: { start: 18, count: 2, frameDuration: 200, loop: 'loop' },
+            speed: { start: 20, count: 2, frameDuration: 200, loop: 'loop' },
+            shield: { start: 22, count: 2, frameDuration: 200, loop: 'loop' },
+            magnet: { start: 24, count: 2, frameDuration: 200, loop: 'loop' },
+            extraHeart: { start: 26, count: 2, frameDuration: 200, loop: 'loop' }
+        }
+    },
+
+    // Platform kinds, tiled across the platform
+    platforms: {
+        image: 'images/platforms',
+        frames: createGridFrames(32, 32, 4, 4),
+        clips: {
+            solid: { start: 0, count: 1, frameDuration: 1000, loop: 'once' },
+            jumpThrough: { start: 1, count: 1, frameDuration: 1000, loop: 'once' },
+            moving: { start: 2, count: 1, frameDuration: 1000, loop: 'once' },
+            crumble: { start: 3, count: 1, frameDuration: 1000, loop: 'once' }
+        }
+    }
+};
+
+/**
+ * SpriteSheet class pairing a loaded image with its frames and clips
+ */
+class SpriteSheet {
+    /**
+     * @param {HTMLImageElement} image - Loaded sheet image
+     * @param {Object} definition - Entry of SPRITE_SHEETS
+     */
+    constructor(image, definition) {
+        this.image = image;
+        this.frames = definition.frames;
+        this.clips = definition.clips;
+    }
+
+    /**
+     * Draw a frame stretched to a rectangle
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Number} index - Frame index
+     * @param {Number} x - Screen X
+     * @param {Number} y - Screen Y
+     * @param {Number} width - Width to draw at
+     * @param {Number} height - Height to draw at
+     * @param {Boolean} flip - Mirror horizontally
+     */
+    drawFrame(ctx, index, x, y, width, height, flip = false) {
+        const frame = this.frames[index];
+
+        ctx.save();
+        if (flip) {
+            ctx.translate(x + width, y);
+            ctx.scale(-1, 1);
+            ctx.drawImage(this.image, frame.x, frame.y, frame.width, frame.height, 0, 0, width, height);
+        } else {
+            ctx.drawImage(this.image, frame.x, frame.y, frame.width, frame.height, x, y, width, height);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Fill a rectangle by repeating a frame, cutting off the frames at its
+     * right and bottom edges
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Number} index - Frame index
+     * @param {Number} x - Screen X
+     * @param {Number} y - Screen Y
+     * @param {Number} width - Width of the rectangle
+     * @param {Number} height - Height of the rectangle
+     */
+    drawTiled(ctx, index, x, y, width, height) {
+        const frame = this.frames[index];
+
+        for (let tileY = 0; tileY < height; tileY += frame.height) {
+            const tileHeight = Math.min(frame.height, height - tileY);
+
+            for (let tileX = 0; tileX < width; tileX += frame.width) {
+                const tileWidth = Math.min(frame.width, width - tileX);
+                ctx.drawImage(this.image, frame.x, frame.y, tileWidth, tileHeight, x + tileX, y + tileY, tileWidth, tileHeight);
+            }
+        }
+    }
+}
+
+/**
+ * Sprite sheets, shared by every entity
+ */
+const Sprites = {
+    sheets: {},     // SpriteSheet by name, for the sheets whose image loaded
+
+    /**
+     * Get a sheet, once its image is in the asset cache
+     * @param {String} name - Key of SPRITE_SHEETS
+     * @returns {SpriteSheet|null} - The sheet, or null if its image didn't load
+     */
+    get: (name) => {
+        if (!Sprites.sheets[name]) {
+            const definition = SPRITE_SHEETS[name];
+            const image = definition && Assets.get(definition.image);
+            if (!image) return null;
+
+            Sprites.sheets[name] = new SpriteSheet(image, definition);
+        }
+        return Sprites.sheets[name];
+    }
+};
+
+/**
+ * Animator class playing the clips of a sprite sheet for one entity
+ */
+class Animator {
+    /**
+     * @param {String} sheetName - Key of SPRITE_SHEETS
+     * @param {String} clip - Clip to start with, or null for none
+     * @param {Object} events - Event emitter for the clips' frame events, e.g. the player's
+     */
+    constructor(sheetName, clip = null, events = null) {
+        this.sheetName = sheetName;
+        this.events = events;
+        this.clip = null;
+        this.frame = 0;         // Frame number within the clip
+        this.frameTime = 0;     // ms spent on the current frame
+        this.direction = 1;     // Playing forwards (1) or backwards (-1), for ping-pong clips
+        this.finished = false;  // A 'once' clip reached its last frame
+
+        if (clip) {
+            this.play(clip);
+        }
+    }
+
+    /**
+     * Switch to a clip. Playing the clip that is already playing carries on
+     * unless restart is set.
+     * @param {String} clip - Clip name
+     * @param {Boolean} restart - Start from the first frame even if already playing
+     */
+    play(clip, restart = false) {
+        if (clip === this.clip && !restart) return;
+
+        this.clip = clip;
+        this.frame = 0;
+        this.frameTime = 0;
+        this.direction = 1;
+        this.finished = false;
+        this._emitFrameEvent();
+    }
+
+    /**
+     * Advance the current clip
+     * @param {Number} deltaTime - Time since last update in milliseconds
+     */
+    update(deltaTime) {
+        const clip = this._getClip();
+        if (!clip) return;
+
+        this.frameTime += deltaTime;
+
+        while (this.frameTime >= clip.frameDuration && !this.finished) {
+            this.frameTime -= clip.frameDuration;
+            this._nextFrame(clip);
+        }
+    }
+
+    /**
+     * Draw the current frame at an entity's position: centered on it and
+     * standing on its bottom edge, at the frame's own size
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Object} entity - {x, y, width, height}
+     * @param {Number} offsetX - Camera X offset
+     * @param {Number} offsetY - Camera Y offset
+     * @param {Boolean} flip - Mirror horizontally, for entities facing left
+     * @returns {Boolean} - False if there is nothing to draw (the sheet
+     * didn't load or has no such clip), so the caller can draw a placeholder
+     */
+    draw(ctx, entity, offsetX = 0, offsetY = 0, flip = false) {
+        const sheet = Sprites.get(this.sheetName);
+        const clip = this._getClip();
+        if (!sheet || !clip) return false;
+
+        const index = clip.start + this.frame;
+        const frame = sheet.frames[index];
+        const x = entity.x - offsetX + (entity.width - frame.width) / 2;
+        const y = entity.y - offsetY + entity.height - frame.height;
+
+        sheet.drawFrame(ctx, index, x, y, frame.width, frame.height, flip);
+        return true;
+    }
+
+    /**
+     * Get the definition of the current clip
+     * @private
+     */
+    _getClip() {
+        const sheet = SPRITE_SHEETS[this.sheetName];
+        return (sheet && sheet.clips[this.clip]) || null;
+    }
+
+    /**
+     * Move to the next frame following the clip's loop mode
+     * @private
+     */
+    _nextFrame(clip) {
+        const last = clip.count - 1;
+
+        switch (clip.loop) {
+            case 'once':
+                if (this.frame >= last) {
+                    this.finished = true;
+                    return;
+                }
+                this.frame++;
+                break;
+
+            case 'pingPong':
+                if (last === 0) return;
+                if (this.frame + this.direction > last || this.frame + this.direction < 0) {
+                    this.direction = -this.direction;
+                }
+                this.frame += this.direction;
+                break;
+
+            default:
+                this.frame = this.frame >= last ? 0 : this.frame + 1;
+        }
+
+        this._emitFrameEvent();
+    }
+
+    /**
+     * Fire the event the clip names for the current frame, if any
+     * @private
+     */
+    _emitFrameEvent() {
+        const clip = this._getClip();
+        if (!this.events || !clip || !clip.events || !clip.events[this.frame]) return;
+
+        this.events.emit(clip.events[this.frame], { clip: this.clip, frame: this.frame });
+    }
+}
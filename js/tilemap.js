@@ -0,0 +1,197 @@
+/**
+ * Tile layers for level geometry
+ *
+ * A tilemap is a grid of tile IDs laid over the level, with a tileset that
+ * says what each ID is: solid ground, a jump-through ledge, a hazard or
+ * decoration. Only the tiles on screen are drawn and only the tiles around
+ * an entity are checked for collisions, so wide levels don't make every
+ * frame slower.
+ */
+
+/**
+ * What each tile type does
+ */
+const TILE_TYPES = {
+    solid: { collides: true },
+    jumpThrough: { collides: true, jumpThrough: true },  // Top half of the tile, like a jump-through platform
+    hazard: { damage: 1 },
+    decoration: {}
+};
+
+/**
+ * Tileset used when a level doesn't define one. Tile ID 0 is always empty.
+ */
+const DEFAULT_TILESET = [
+    { id: 1, type: 'solid', color: '#4CAF50' },
+    { id: 2, type: 'solid', color: '#795548' },
+    { id: 3, type: 'jumpThrough', color: '#8BC34A' },
+    { id: 4, type: 'hazard', color: '#F44336' },
+    { id: 5, type: 'decoration', color: 'rgba(255, 255, 255, 0.4)' }
+];
+
+/**
+ * Tilemap class holding the tile layers of a level
+ */
+class Tilemap {
+    /**
+     * @param {Object} data - {tileSize, columns, rows, x, y, tileset, layers}
+     */
+    constructor(data) {
+        this.tileSize = data.tileSize;
+        this.columns = data.columns;
+        this.rows = data.rows;
+        this.x = data.x || 0;   // Level position of the top-left tile
+        this.y = data.y || 0;
+
+        this.tileset = {};
+        (data.tileset || DEFAULT_TILESET).forEach(entry => {
+            this.tileset[entry.id] = entry;
+        });
+
+        // Tiles are created once, so collision queries don't allocate them every frame
+        this.layers = data.layers.map(layer => this._buildLayer(layer));
+    }
+
+    /**
+     * Get the tiles overlapping an area
+     * @param {Object} area - {x, y, width, height}, e.g. an entity
+     * @param {Number} margin - Extra distance around the area
+     * @returns {Array} - Tiles: {id, type, x, y, width, height, color, collides, jumpThrough, damage}
+     */
+    getTiles(area, margin = 0) {
+        const tiles = [];
+        this._forEachTileIn(area, margin, tile => tiles.push(tile));
+        return tiles;
+    }
+
+    /**
+     * Get the solid and jump-through tiles around an area. They can be
+     * passed to Physics along with the level's platforms.
+     * @param {Object} area - {x, y, width, height}, e.g. an entity
+     * @param {Number} margin - Extra distance around the area
+     * @returns {Array} - Tiles that entities collide with
+     */
+    getColliders(area, margin = 0) {
+        const tiles = [];
+        this._forEachTileIn(area, margin, tile => {
+            if (tile.collides) {
+                tiles.push(tile);
+            }
+        });
+        return tiles;
+    }
+
+    /**
+     * Draw the tiles on screen
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {Number} offsetX - Camera X offset
+     * @param {Number} offsetY - Camera Y offset
+     * @param {Number} zoom - Scale the context is drawing at, to size the view
+     */
+    draw(ctx, offsetX = 0, offsetY = 0, zoom = 1) {
+        const view = { x: offsetX, y: offsetY, width: ctx.canvas.width / zoom, height: ctx.canvas.height / zoom };
+
+        ctx.save();
+        this._forEachTileIn(view, 0, tile => this._drawTile(ctx, tile, tile.x - offsetX, tile.y - offsetY));
+        ctx.restore();
+    }
+
+    /**
+     * Create the tiles of a layer from its rows of tile IDs
+     * @private
+     */
+    _buildLayer(layer) {
+        const cells = new Array(this.columns * this.rows).fill(null);
+
+        layer.data.forEach((row, rowIndex) => {
+            row.forEach((id, column) => {
+                if (id !== 0) {
+                    cells[rowIndex * this.columns + column] = this._createTile(id, column, rowIndex);
+                }
+            });
+        });
+
+        return { name: layer.name || '', cells };
+    }
+
+    /**
+     * Create the tile for a grid cell
+     * @private
+     */
+    _createTile(id, column, row) {
+        const entry = this.tileset[id];
+        if (!entry) {
+            throw new Error(`Unknown tile ID ${id}`);
+        }
+
+        const type = TILE_TYPES[entry.type];
+
+        return {
+            id,
+            type: entry.type,
+            x: this.x + column * this.tileSize,
+            y: this.y + row * this.tileSize,
+            width: this.tileSize,
+            height: type.jumpThrough ? this.tileSize / 2 : this.tileSize,
+            color: entry.color || '#4CAF50',
+            collides: Boolean(type.collides),
+            jumpThrough: Boolean(type.jumpThrough),
+            damage: entry.damage !== undefined ? entry.damage : (type.damage || 0)
+        };
+    }
+
+    /**
+     * Call back for every tile in the grid cells an area covers, layer by layer
+     * @private
+     */
+    _forEachTileIn(area, margin, callback) {
+        const size = this.tileSize;
+        const firstColumn = Math.max(0, Math.floor((area.x - margin - this.x) / size));
+        const lastColumn = Math.min(this.columns - 1, Math.ceil((area.x + area.width + margin - this.x) / size) - 1);
+        const firstRow = Math.max(0, Math.floor((area.y - margin - this.y) / size));
+        const lastRow = Math.min(this.rows - 1, Math.ceil((area.y + area.height + margin - this.y) / size) - 1);
+
+        this.layers.forEach(layer => {
+            for (let row = firstRow; row <= lastRow; row++) {
+                for (let column = firstColumn; column <= lastColumn; column++) {
+                    const tile = layer.cells[row * this.columns + column];
+                    if (tile) {
+                        callback(tile);
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Draw a single tile
+     * @private
+     */
+    _drawTile(ctx, tile, x, y) {
+        ctx.fillStyle = tile.color;
+
+        switch (tile.type) {
+            case 'hazard': {
+                // Spikes, like Hazard
+                const spikeWidth = 10;
+                for (let spikeX = x; spikeX + spikeWidth <= x + tile.width; spikeX += spikeWidth) {
+                    ctx.beginPath();
+                    ctx.moveTo(spikeX, y + tile.height);
+                    ctx.lineTo(spikeX + spikeWidth / 2, y);
+                    ctx.lineTo(spikeX + spikeWidth, y + tile.height);
+                    ctx.fill();
+                }
+                break;
+            }
+
+            case 'jumpThrough':
+                ctx.fillRect(x, y, tile.width, tile.height);
+                ctx.fillStyle = '#689F38';
+                ctx.fillRect(x, y, tile.width, 5);
+                break;
+
+            default:
+                ctx.fillRect(x, y, tile.width, tile.height);
+        }
+    }
+}
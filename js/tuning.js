@@ -0,0 +1,122 @@
+/**
+ * Live tuning panel for trying out gameplay settings while the game runs
+ *
+ * Changes apply immediately and are not saved. Use "Copy" to get the values
+ * as JSON and paste them into the defaults once they feel right. Replays
+ * recorded with changed values will not play back the same with the defaults.
+ */
+class TuningPanel {
+    /**
+     * @param {HTMLElement} element - Panel container
+     * @param {Object} target - Object with configure(config) and getConfig() (e.g. Player)
+     * @param {Array} fields - Field descriptions: {key, label, min, max, step}
+     */
+    constructor(element, target, fields) {
+        this.element = element;
+        this.target = target;
+        this.fields = fields;
+        this.defaults = target.getConfig();
+        this.visible = false;
+        this.status = null;     // Element showing the result of the last copy
+    }
+
+    /**
+     * Show or hide the panel
+     */
+    toggle() {
+        this.visible = !this.visible;
+        this.element.classList.toggle('hidden', !this.visible);
+
+        if (this.visible) {
+            this._render();
+        }
+    }
+
+    /**
+     * Restore the values the panel started with
+     */
+    reset() {
+        this.target.configure(this.defaults);
+        this._render();
+    }
+
+    /**
+     * Build a slider for every field
+     * @private
+     */
+    _render() {
+        const config = this.target.getConfig();
+        this.element.innerHTML = '';
+
+        const title = document.createElement('h3');
+        title.textContent = 'Tuning';
+        this.element.appendChild(title);
+
+        this.fields.forEach(field => {
+            const row = document.createElement('label');
+            row.className = 'tuning-row';
+
+            const name = document.createElement('span');
+            name.textContent = field.label;
+
+            const value = document.createElement('span');
+            value.className = 'tuning-value';
+            value.textContent = config[field.key];
+
+            const slider = document.createElement('input');
+            slider.type = 'range';
+            slider.min = field.min;
+            slider.max = field.max;
+            slider.step = field.step;
+            slider.value = config[field.key];
+            slider.addEventListener('input', () => {
+                this.target.configure({ [field.key]: parseFloat(slider.value) });
+                value.textContent = slider.value;
+            });
+
+            row.append(name, slider, value);
+            this.element.appendChild(row);
+        });
+
+        const resetButton = document.createElement('button');
+        resetButton.textContent = 'Reset';
+        resetButton.addEventListener('click', () => this.reset());
+
+        const copyButton = document.createElement('button');
+        copyButton.textContent = 'Copy';
+        copyButton.addEventListener('click', () => this._copy());
+
+        this.status = document.createElement('p');
+        this.status.className = 'tuning-status';
+
+        this.element.append(resetButton, copyButton, this.status);
+    }
+
+    /**
+     * Copy the current values as JSON
+     * @private
+     */
+    _copy() {
+        const json = JSON.stringify(this.target.getConfig(), null, 4);
+
+        if (!navigator.clipboard) {
+            this._setStatus('Clipboard not available', true);
+            return;
+        }
+
+        navigator.clipboard.writeText(json).then(() => {
+            this._setStatus('Copied as JSON');
+        }, error => {
+            this._setStatus(`Could not copy: ${error.message}`, true);
+        });
+    }
+
+    /**
+     * Show a message under the buttons
+     * @private
+     */
+    _setStatus(message, isError = false) {
+        this.status.textContent = message;
+        this.status.classList.toggle('error', isError);
+    }
+}
@@ -1,6 +1,22 @@
 /**
  * Utility functions for the platformer game
  */
+
+/**
+ * Error thrown when a request gets an HTTP error response
+ */
+class HttpError extends Error {
+    /**
+     * @param {String} message - Human readable description of the problem
+     * @param {Number} status - HTTP status code of the response, e.g. 404
+     */
+    constructor(message, status) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
 const Utils = {
     /**
      * Random integer between min and max (inclusive)
@@ -9,6 +25,33 @@ const Utils = {
         return Math.floor(Math.random() * (max - min + 1)) + min;
     },
     
+    /**
+     * Create a seeded random number generator (mulberry32).
+     * Returns a function giving numbers in [0, 1), like Math.random.
+     * Use it for anything random in the simulation so replays stay in sync.
+     */
+    createRandom: (seed) => {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+    
+    /**
+     * Format a duration in milliseconds as m:ss.s
+     */
+    formatTime: (ms) => {
+        // Round first, so e.g. 59.96 s shows as 1:00.0 rather than 0:60.0
+        const tenths = Math.round(ms / 100);
+        const minutes = Math.floor(tenths / 600);
+        const seconds = ((tenths % 600) / 10).toFixed(1).padStart(4, '0');
+        return `${minutes}:${seconds}`;
+    },
+    
     /**
      * Load image from path
      */
@@ -22,41 +65,64 @@ const Utils = {
     },
     
     /**
-     * Load audio from path
+     * Load audio from path, decoded into an AudioBuffer for the Web Audio API.
+     * Buffers aren't tied to the context that decoded them, so any can play them.
      */
     loadAudio: (path) => {
-        return new Promise((resolve, reject) => {
-            const audio = new Audio();
-            audio.oncanplaythrough = () => resolve(audio);
-            audio.onerror = () => reject(new Error(`Failed to load audio: ${path}`));
-            audio.src = path;
-        });
+        return fetch(path)
+            .then(response => {
+                if (!response.ok) {
+                    throw new HttpError(`Failed to load audio: ${path} (${response.status})`, response.status);
+                }
+                return response.arrayBuffer();
+            })
+            .then(data => new OfflineAudioContext(2, 1, 44100).decodeAudioData(data));
     },
     
     /**
-     * Load multiple assets and track progress
+     * Limit a value to the range [min, max]
      */
-    loadAssets: (assets, progressCallback) => {
-        const promises = [];
-        const results = {};
-        let loaded = 0;
+    clamp: (value, min, max) => {
+        return Math.min(Math.max(value, min), max);
+    },
+    
+    /**
+     * Linear interpolation between a and b
+     */
+    lerp: (a, b, t) => {
+        return a + (b - a) * t;
+    },
+    
+    /**
+     * Run a draw call with an entity moved to its interpolated render position.
+     * Entities store prevRenderX/prevRenderY before each simulation step.
+     */
+    drawInterpolated: (entity, alpha, draw) => {
+        if (entity.prevRenderX === undefined || alpha >= 1) {
+            draw();
+            return;
+        }
         
-        Object.entries(assets).forEach(([key, path]) => {
-            const isImage = path.match(/\.(png|jpg|jpeg|gif|webp)$/i);
-            const promise = isImage ? Utils.loadImage(path) : Utils.loadAudio(path);
-            
-            promises.push(
-                promise.then(asset => {
-                    results[key] = asset;
-                    loaded++;
-                    if (progressCallback) {
-                        progressCallback(loaded / promises.length);
-                    }
-                })
-            );
-        });
+        const x = entity.x;
+        const y = entity.y;
         
-        return Promise.all(promises).then(() => results);
+        entity.x = Utils.lerp(entity.prevRenderX, x, alpha);
+        entity.y = Utils.lerp(entity.prevRenderY, y, alpha);
+        draw();
+        entity.x = x;
+        entity.y = y;
+    },
+    
+    /**
+     * Offer data as a JSON file download
+     */
+    downloadJSON: (data, filename) => {
+        const blob = new Blob([JSON.stringify(data, null, 4)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
     },
     
     /**
@@ -68,40 +134,95 @@ const Utils = {
                rect1.y < rect2.y + rect2.height &&
                rect1.y + rect1.height > rect2.y;
     },
+
+    /**
+     * Sweep a moving rectangle against a still one and find when they first
+     * touch during the move. Rectangles that already overlap, or only touch
+     * at a corner, don't count as hitting.
+     * @param {Object} rect - Moving rectangle at the start of the move
+     * @param {Number} dx - Horizontal distance moved
+     * @param {Number} dy - Vertical distance moved
+     * @param {Object} target - Rectangle that doesn't move
+     * @returns {Object|null} - {time, normalX, normalY}: fraction of the move
+     * (0 to 1) until contact, and the side of target hit as a unit vector
+     * pointing out of it (e.g. normalY -1 for its top), or null for no hit
+     */
+    sweepAABB: (rect, dx, dy, target) => {
+        // Times the rectangles start and stop overlapping on each axis
+        let entryX = -Infinity;
+        let exitX = Infinity;
+        if (dx !== 0) {
+            entryX = (dx > 0 ? target.x - (rect.x + rect.width) : target.x + target.width - rect.x) / dx;
+            exitX = (dx > 0 ? target.x + target.width - rect.x : target.x - (rect.x + rect.width)) / dx;
+        } else if (rect.x + rect.width <= target.x || rect.x >= target.x + target.width) {
+            return null;
+        }
+
+        let entryY = -Infinity;
+        let exitY = Infinity;
+        if (dy !== 0) {
+            entryY = (dy > 0 ? target.y - (rect.y + rect.height) : target.y + target.height - rect.y) / dy;
+            exitY = (dy > 0 ? target.y + target.height - rect.y : target.y - (rect.y + rect.height)) / dy;
+        } else if (rect.y + rect.height <= target.y || rect.y >= target.y + target.height) {
+            return null;
+        }
+
+        const time = Math.max(entryX, entryY);
+        if (time < 0 || time > 1 || time >= Math.min(exitX, exitY)) return null;
+
+        // The axis that overlaps last is the side that was hit
+        if (entryX > entryY) {
+            return { time, normalX: dx > 0 ? -1 : 1, normalY: 0 };
+        }
+        return { time, normalX: 0, normalY: dy > 0 ? -1 : 1 };
+    },
     
     /**
-     * Get collision side (top, bottom, left, right)
+     * Check whether the line segment from (x1, y1) to (x2, y2) crosses a rectangle
      */
-    getCollisionSide: (obj1, obj2, vx, vy) => {
-        const dx = (obj1.x + obj1.width / 2) - (obj2.x + obj2.width / 2);
-        const dy = (obj1.y + obj1.height / 2) - (obj2.y + obj2.height / 2);
-        
-        // Check if moving vertically or horizontally
-        const absDX = Math.abs(dx);
-        const absDY = Math.abs(dy);
+    lineIntersectsRect: (x1, y1, x2, y2, rect) => {
+        let tMin = 0;
+        let tMax = 1;
+        const axes = [
+            [x1, x2 - x1, rect.x, rect.x + rect.width],
+            [y1, y2 - y1, rect.y, rect.y + rect.height]
+        ];
         
-        // Collision happened on the shortest side
-        // but also check velocity direction to confirm
-        if (absDX > absDY) {
-            if (dx > 0 && vx < 0) {
-                return "right";
-            } else if (dx < 0 && vx > 0) {
-                return "left";
-            }
-        } else {
-            if (dy > 0 && vy < 0) {
-                return "bottom";
-            } else if (dy < 0 && vy > 0) {
-                return "top";
+        // Clip the segment against each pair of edges (slab method)
+        for (const [start, delta, min, max] of axes) {
+            if (delta === 0) {
+                if (start < min || start > max) return false;
+                continue;
             }
+            
+            let t1 = (min - start) / delta;
+            let t2 = (max - start) / delta;
+            if (t1 > t2) [t1, t2] = [t2, t1];
+            
+            tMin = Math.max(tMin, t1);
+            tMax = Math.min(tMax, t2);
+            if (tMin > tMax) return false;
         }
         
-        // Default to side with smallest overlap
-        if (absDX > absDY) {
-            return dy > 0 ? "bottom" : "top";
-        } else {
+        return true;
+    },
+    
+    /**
+     * Get collision side (top, bottom, left, right) of obj2 that two
+     * overlapping rectangles should be separated along: the axis with the
+     * smallest overlap
+     */
+    getCollisionSide: (obj1, obj2) => {
+        const dx = (obj1.x + obj1.width / 2) - (obj2.x + obj2.width / 2);
+        const dy = (obj1.y + obj1.height / 2) - (obj2.y + obj2.height / 2);
+        
+        const overlapX = Math.min(obj1.x + obj1.width, obj2.x + obj2.width) - Math.max(obj1.x, obj2.x);
+        const overlapY = Math.min(obj1.y + obj1.height, obj2.y + obj2.height) - Math.max(obj1.y, obj2.y);
+        
+        if (overlapX < overlapY) {
             return dx > 0 ? "right" : "left";
         }
+        return dy > 0 ? "bottom" : "top";
     },
     
     /**
@@ -0,0 +1,191 @@
+/**
+ * Headless tests for swept collisions: tunneling and corner cases
+ *
+ * Loads utils.js and physics.js into a sandbox, without a browser, and
+ * checks Utils.sweepAABB and Physics.update on small hand-built scenes.
+ * Run from the project folder with: node tests/physics.test.js
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const sandbox = vm.createContext({ console, Math });
+['utils.js', 'physics.js'].forEach(file => {
+    const code = fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8');
+    vm.runInContext(code, sandbox, { filename: file });
+});
+
+const Utils = vm.runInContext('Utils', sandbox);
+const Physics = vm.runInContext('Physics', sandbox);
+
+const STEP = 1000 / 60;
+
+/**
+ * Create an entity the size of the player
+ */
+function createEntity(x, y, vx = 0, vy = 0) {
+    return { x, y, width: 32, height: 48, vx, vy, onGround: false, onWall: null, carrier: null };
+}
+
+/**
+ * Create a platform, which moving platforms have already moved by vx, vy
+ */
+function createPlatform(x, y, width, height, options = {}) {
+    const platform = Object.assign({ x, y, width, height, vx: 0, vy: 0, riders: [] }, options);
+    platform.addRider = entity => platform.riders.push(entity);
+    platform.removeRider = entity => platform.riders.splice(platform.riders.indexOf(entity), 1);
+    return platform;
+}
+
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+// Utils.sweepAABB
+
+test('sweep finds the time and side of a hit', () => {
+    const hit = Utils.sweepAABB({ x: 0, y: 100, width: 32, height: 48 }, 0, 100, { x: 0, y: 200, width: 200, height: 20 });
+    assert.strictEqual(hit.time, 0.52);
+    assert.strictEqual(hit.normalX, 0);
+    assert.strictEqual(hit.normalY, -1);
+});
+
+test('sweep hits a thin wall passed through in one move', () => {
+    const hit = Utils.sweepAABB({ x: 200, y: 0, width: 32, height: 48 }, 200, 0, { x: 300, y: 0, width: 10, height: 400 });
+    assert.strictEqual(hit.time, (300 - 232) / 200);
+    assert.strictEqual(hit.normalX, -1);
+    assert.strictEqual(hit.normalY, 0);
+});
+
+test('sweep hits a ceiling from below', () => {
+    const hit = Utils.sweepAABB({ x: 0, y: 40, width: 32, height: 48 }, 0, -40, { x: 0, y: 0, width: 200, height: 20 });
+    assert.strictEqual(hit.time, 0.5);
+    assert.strictEqual(hit.normalY, 1);
+});
+
+test('sweep lands on a corner hit square on', () => {
+    const hit = Utils.sweepAABB({ x: 0, y: 0, width: 10, height: 10 }, 20, 20, { x: 20, y: 20, width: 10, height: 10 });
+    assert.strictEqual(hit.time, 0.5);
+    assert.strictEqual(hit.normalX, 0);
+    assert.strictEqual(hit.normalY, -1);
+});
+
+test('sweep ignores rectangles that only touch at a corner', () => {
+    assert.strictEqual(Utils.sweepAABB({ x: 0, y: 0, width: 10, height: 10 }, 10, 10, { x: 10, y: -10, width: 10, height: 10 }), null);
+});
+
+test('sweep ignores a move alongside an edge', () => {
+    assert.strictEqual(Utils.sweepAABB({ x: 0, y: 0, width: 10, height: 10 }, 0, 50, { x: 10, y: 20, width: 10, height: 10 }), null);
+});
+
+test('sweep ignores rectangles that already overlap', () => {
+    assert.strictEqual(Utils.sweepAABB({ x: 0, y: 0, width: 10, height: 10 }, 5, 0, { x: 5, y: 0, width: 10, height: 10 }), null);
+});
+
+// Physics.update
+
+test('a fast fall lands on a 20px jump-through platform', () => {
+    const physics = new Physics();
+    const entity = createEntity(0, 100, 0, 100);
+    physics.update(entity, [createPlatform(0, 200, 200, 20, { jumpThrough: true })], STEP);
+
+    assert.strictEqual(entity.y, 152);
+    assert.strictEqual(entity.vy, 0);
+    assert.strictEqual(entity.onGround, true);
+});
+
+test('jumping up passes through a jump-through platform', () => {
+    const physics = new Physics();
+    const entity = createEntity(0, 230, 0, -30);
+    physics.update(entity, [createPlatform(0, 200, 200, 20, { jumpThrough: true })], STEP);
+
+    assert.strictEqual(entity.y, 200.5);
+    assert.strictEqual(entity.vy, -29.5);
+    assert.strictEqual(entity.onGround, false);
+});
+
+test('a 200 ms frame hitch still lands on a thin platform', () => {
+    const physics = new Physics();
+    const entity = createEntity(0, 100, 0, 10);
+    physics.update(entity, [createPlatform(0, 250, 200, 20)], 200);
+
+    assert.strictEqual(entity.y, 202);
+    assert.strictEqual(entity.onGround, true);
+});
+
+test('high horizontal speed stops at a thin wall', () => {
+    const physics = new Physics();
+    const entity = createEntity(200, 100, 200 / 0.95, 0);
+    physics.update(entity, [createPlatform(300, 0, 10, 400)], STEP);
+
+    assert.strictEqual(entity.x, 268);
+    assert.strictEqual(entity.vx, 0);
+    assert.strictEqual(entity.onWall, 'right');
+});
+
+test('jumping into a ceiling bumps the head', () => {
+    const physics = new Physics();
+    const entity = createEntity(0, 40, 0, -40.5);
+    physics.update(entity, [createPlatform(0, 0, 200, 20)], STEP);
+
+    assert.strictEqual(entity.y, 20);
+    assert.strictEqual(entity.vy, 0);
+});
+
+test('falling past a ledge it only touches at the side keeps falling', () => {
+    const physics = new Physics();
+    const entity = createEntity(68, 100, 0, 9.5);
+    physics.update(entity, [createPlatform(100, 140, 100, 20)], STEP);
+
+    assert.strictEqual(entity.x, 68);
+    assert.strictEqual(entity.y, 110);
+    assert.strictEqual(entity.onGround, false);
+});
+
+test('falling onto the corner of a ledge lands on it', () => {
+    const physics = new Physics();
+    const entity = createEntity(69, 100, 0, 9.5);
+    physics.update(entity, [createPlatform(100, 150, 100, 20)], STEP);
+
+    assert.strictEqual(entity.y, 102);
+    assert.strictEqual(entity.onGround, true);
+});
+
+test('a platform rising into an entity picks it up', () => {
+    const physics = new Physics();
+    const entity = createEntity(50, 147, 0, 0);
+    const platform = createPlatform(0, 190, 200, 20, { moving: true, vy: -10 });
+    physics.update(entity, [platform], STEP);
+
+    assert.strictEqual(entity.y, 142);
+    assert.strictEqual(entity.onGround, true);
+    assert.strictEqual(entity.carrier, platform);
+    assert.deepStrictEqual(platform.riders, [entity]);
+});
+
+test('a platform sliding sideways into an entity pushes it', () => {
+    const physics = new Physics();
+    const entity = createEntity(60, 100, 0, 0);
+    physics.update(entity, [createPlatform(80, 0, 200, 400, { moving: true, vx: -20 })], STEP);
+
+    assert.strictEqual(entity.x, 48);
+    assert.strictEqual(entity.vx, 0);
+});
+
+let failed = 0;
+tests.forEach(({ name, fn }) => {
+    try {
+        fn();
+        console.log(`ok - ${name}`);
+    } catch (error) {
+        failed++;
+        console.log(`not ok - ${name}\n    ${error.message.split('\n').join('\n    ')}`);
+    }
+});
+
+console.log(`\n${tests.length - failed} of ${tests.length} passed`);
+process.exitCode = failed > 0 ? 1 : 0;